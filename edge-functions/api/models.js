@@ -3,15 +3,9 @@
  * 处理模型列表请求
  */
 
-// OpenAI 音色映射
-const OPENAI_VOICE_MAP = {
-  'alloy': 'zh-CN-XiaoxiaoNeural',
-  'echo': 'zh-CN-YunxiNeural',
-  'fable': 'zh-CN-XiaoyiNeural',
-  'onyx': 'zh-CN-YunjianNeural',
-  'nova': 'zh-CN-XiaochenNeural',
-  'shimmer': 'zh-CN-XiaohanNeural'
-};
+import { getVoiceAliases } from "../../lib/voices.js";
+import { authenticate } from "../../lib/auth.js";
+import { authErrorResponse, internalErrorResponse, applyCORSHeaders } from "../../lib/errors.js";
 
 /**
  * 生成 CORS 头
@@ -38,39 +32,30 @@ function handleOptions() {
 }
 
 /**
- * 生成错误响应
- * @param {string} message - 错误消息
- * @param {number} status - HTTP 状态码
- * @param {string} type - 错误类型
- * @returns {Response} 错误响应
+ * 处理 /api/v1/models 请求，错误响应同样带上完整的 CORS 头
+ * @param {Object} context - EdgeOne Pages 上下文对象
+ * @returns {Promise<Response>} HTTP 响应
  */
-function errorResponse(message, status = 400, type = "invalid_request_error") {
-  return new Response(JSON.stringify({
-    error: { message, type, code: null }
-  }), {
-    status,
-    headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
-  });
+export default async function onRequest(context) {
+  return applyCORSHeaders(await handleRequest(context), makeCORSHeaders());
 }
 
 /**
- * 处理 /api/v1/models 请求
+ * 按请求方法与参数生成 /api/v1/models 的响应
  * @param {Object} context - EdgeOne Pages 上下文对象
  * @returns {Promise<Response>} HTTP 响应
  */
-export default async function onRequest(context) {
+async function handleRequest(context) {
   const request = context.request;
 
   // 处理 CORS 预检请求
   if (request.method === "OPTIONS") return handleOptions(request);
 
   // API 密钥验证
-  const API_KEY = context.env.API_KEY;
-  if (API_KEY) {
-    const authHeader = request.headers.get("authorization");
-    if (!authHeader || !authHeader.startsWith("Bearer ") || authHeader.slice(7) !== API_KEY) {
-      return errorResponse("无效的 API 密钥", 401, "invalid_api_key");
-    }
+  try {
+    await authenticate(request, context.env);
+  } catch (err) {
+    return authErrorResponse(err);
   }
 
   try {
@@ -78,7 +63,7 @@ export default async function onRequest(context) {
     const models = [
       { id: 'tts-1', object: 'model', created: Date.now(), owned_by: 'openai' },
       { id: 'tts-1-hd', object: 'model', created: Date.now(), owned_by: 'openai' },
-      ...Object.keys(OPENAI_VOICE_MAP).map(v => ({
+      ...Object.keys(getVoiceAliases(context.env)).map(v => ({
         id: `tts-1-${v}`,
         object: 'model',
         created: Date.now(),
@@ -90,6 +75,6 @@ export default async function onRequest(context) {
       headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
     });
   } catch (err) {
-    return errorResponse(`模型列表请求错误: ${err.message}`, 500, "internal_server_error");
+    return internalErrorResponse(err, `模型列表请求错误: ${err.message}`, context.env);
   }
 }
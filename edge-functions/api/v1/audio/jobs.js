@@ -0,0 +1,126 @@
+/**
+ * EdgeOne Pages Edge Function for /api/v1/audio/jobs
+ * 创建异步长文本合成任务，请求体与 /api/v1/audio/speech 相同（不支持 stream 与字幕）
+ */
+
+import { errorResponse, paramErrorResponse, authErrorResponse, internalErrorResponse, applyCORSHeaders } from "../../../../lib/errors.js";
+import { authenticate, consumeRequest, authorizeSpeech, refundUsage } from "../../../../lib/auth.js";
+import { DEFAULT_CONCURRENCY, prepareSpeech } from "../../../../lib/synthesis.js";
+import { createJob, getJob, scheduleJob, describeJob } from "../../../../lib/jobs.js";
+
+/**
+ * 生成 CORS 头
+ * @returns {Object} CORS 头对象
+ */
+function makeCORSHeaders() {
+  return {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Max-Age": "86400"
+  };
+}
+
+/**
+ * 处理 CORS 预检请求
+ * @returns {Response} CORS 响应
+ */
+function handleOptions() {
+  return new Response(null, {
+    status: 200,
+    headers: makeCORSHeaders()
+  });
+}
+
+/**
+ * 生成 JSON 响应
+ * @param {Object} body - 响应体
+ * @param {number} [status] - HTTP 状态码
+ * @param {Object} [headers] - 额外响应头
+ * @returns {Response} JSON 响应
+ */
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store", ...headers, ...makeCORSHeaders() }
+  });
+}
+
+/**
+ * 处理 /api/v1/audio/jobs 请求，错误响应同样带上完整的 CORS 头
+ * @param {Object} context - EdgeOne Pages 上下文对象
+ * @returns {Promise<Response>} HTTP 响应
+ */
+export default async function onRequest(context) {
+  return applyCORSHeaders(await handleRequest(context), makeCORSHeaders());
+}
+
+/**
+ * 按请求方法与参数生成 /api/v1/audio/jobs 的响应
+ * @param {Object} context - EdgeOne Pages 上下文对象
+ * @returns {Promise<Response>} HTTP 响应
+ */
+async function handleRequest(context) {
+  const request = context.request;
+
+  // 处理 CORS 预检请求
+  if (request.method === "OPTIONS") return handleOptions(request);
+
+  if (request.method !== "POST") {
+    return errorResponse("不允许的方法", 405, "method_not_allowed");
+  }
+
+  // API 密钥验证与请求频率限制
+  let apiKey;
+  try {
+    apiKey = await authenticate(request, context.env);
+    consumeRequest(apiKey);
+  } catch (err) {
+    return authErrorResponse(err);
+  }
+
+  let requestBody;
+  try {
+    requestBody = await request.json();
+  } catch (err) {
+    return errorResponse(`JSON 解析错误: ${err.message}`, 400, "invalid_request_error");
+  }
+
+  if (requestBody.subtitle_format) {
+    return errorResponse("异步任务暂不支持生成字幕", 400, "invalid_request_error", { param: "subtitle_format" });
+  }
+  if (["srt", "vtt"].includes(requestBody.input_format)) {
+    return errorResponse("异步任务暂不支持字幕配音", 400, "invalid_request_error", { param: "input_format" });
+  }
+
+  let plan;
+  try {
+    plan = prepareSpeech(requestBody, context.env);
+  } catch (err) {
+    return paramErrorResponse(err);
+  }
+
+  // 按密钥检查可用音色并扣除字符配额，任务失败时由 lib/jobs.js 退还未完成部分
+  try {
+    authorizeSpeech(apiKey, plan, context.env);
+  } catch (err) {
+    return authErrorResponse(err);
+  }
+
+  try {
+    const job = await createJob(plan, {
+      owner: apiKey ? apiKey.name : null,
+      concurrency: requestBody.concurrency ?? DEFAULT_CONCURRENCY,
+      cache: requestBody.cache !== false,
+      xingHeader: requestBody.xing_header !== false
+    }, context.env);
+    await scheduleJob(context, job.id);
+
+    return jsonResponse(describeJob(await getJob(job.id) || job), 202, {
+      "Location": `/api/v1/audio/jobs/${job.id}`
+    });
+  } catch (err) {
+    refundUsage(apiKey, { characters: plan.characters });
+    return internalErrorResponse(err, `创建任务失败: ${err.message}`, context.env);
+  }
+}
@@ -0,0 +1,93 @@
+/**
+ * EdgeOne Pages Edge Function for /api/v1/audio/jobs/:id
+ * 查询异步合成任务的进度；任务未完成时顺带推进一段
+ */
+
+import { errorResponse, authErrorResponse, internalErrorResponse, applyCORSHeaders } from "../../../../../lib/errors.js";
+import { authenticate } from "../../../../../lib/auth.js";
+import { getJob, canAccessJob, scheduleJob, describeJob } from "../../../../../lib/jobs.js";
+
+/**
+ * 生成 CORS 头
+ * @returns {Object} CORS 头对象
+ */
+function makeCORSHeaders() {
+  return {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Max-Age": "86400"
+  };
+}
+
+/**
+ * 处理 CORS 预检请求
+ * @returns {Response} CORS 响应
+ */
+function handleOptions() {
+  return new Response(null, {
+    status: 200,
+    headers: makeCORSHeaders()
+  });
+}
+
+/**
+ * 生成 JSON 响应
+ * @param {Object} body - 响应体
+ * @param {number} [status] - HTTP 状态码
+ * @param {Object} [headers] - 额外响应头
+ * @returns {Response} JSON 响应
+ */
+function jsonResponse(body, status = 200, headers = {}) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store", ...headers, ...makeCORSHeaders() }
+  });
+}
+
+/**
+ * 处理 /api/v1/audio/jobs/:id 请求，错误响应同样带上完整的 CORS 头
+ * @param {Object} context - EdgeOne Pages 上下文对象
+ * @returns {Promise<Response>} HTTP 响应
+ */
+export default async function onRequest(context) {
+  return applyCORSHeaders(await handleRequest(context), makeCORSHeaders());
+}
+
+/**
+ * 按请求方法与参数生成 /api/v1/audio/jobs/:id 的响应
+ * @param {Object} context - EdgeOne Pages 上下文对象
+ * @returns {Promise<Response>} HTTP 响应
+ */
+async function handleRequest(context) {
+  const request = context.request;
+
+  // 处理 CORS 预检请求
+  if (request.method === "OPTIONS") return handleOptions(request);
+
+  if (request.method !== "GET") {
+    return errorResponse("不允许的方法", 405, "method_not_allowed");
+  }
+
+  // API 密钥验证
+  let apiKey;
+  try {
+    apiKey = await authenticate(request, context.env);
+  } catch (err) {
+    return authErrorResponse(err);
+  }
+
+  try {
+    const job = await getJob(context.params.id);
+    if (!job || !canAccessJob(job, apiKey)) {
+      return errorResponse(`任务 '${context.params.id}' 不存在或已过期`, 404, "job_not_found");
+    }
+
+    if (job.status === "queued" || job.status === "running") {
+      await scheduleJob(context, job.id);
+    }
+    return jsonResponse(describeJob(await getJob(job.id) || job));
+  } catch (err) {
+    return internalErrorResponse(err, `任务查询错误: ${err.message}`, context.env);
+  }
+}
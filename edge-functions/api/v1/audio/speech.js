@@ -2,37 +2,63 @@
  * EdgeOne Pages Edge Function - Microsoft Edge TTS 服务代理
  *
  * @version 2.4.0 (EdgeOne Pages 适配版)
- * @description 实现了内部自动批处理机制，优雅地处理 EdgeOne 的子请求限制。
+ * @description 实现了滑动窗口并发机制，优雅地处理 EdgeOne 的子请求限制。
  * API 现在可以处理任何长度的文本，不会因为"子请求过多"而失败。
  * 这是最终的生产就绪版本。
  * 
  * @features
  * - 支持流式和非流式 TTS 输出
- * - 自动文本清理和分块处理
- * - 智能批处理避免 EdgeOne 限制
+ * - 自动文本清理和分块处理，可按段落、句子或分句分块并限制每块的 SSML 字节数
+ * - 滑动窗口并发避免 EdgeOne 限制，流式模式逐块按序输出
  * - 兼容 OpenAI TTS API 格式
  * - 支持多种中英文语音
+ * - 支持 OpenAI response_format (mp3, opus, wav, flac, pcm)
+ * - 支持生成与音频对齐的 SRT / WebVTT 字幕
+ * - 支持直接提交完整 SSML 文档，并在安全的元素边界分块
+ * - 支持多角色对话，各片段使用独立音色设置并按顺序拼接
+ * - 单个文本块失败时按指数退避重试，401 时自动刷新 Token
+ * - 按 SSML 与输出格式的哈希缓存文本块音频，响应附带 ETag / X-Cache
+ * - 支持多个具名 API 密钥，按密钥限制字符配额、请求频率与可用音色
+ * - 文本清理支持替换规则，发音词典输出 <phoneme> / <sub> 标记
+ * - 可选按中英文规则把数字、日期、货币、单位等改写为读法或 <say-as>
+ * - 中英混排文本可按语言切分，各语言片段使用各自的音色
+ * - 支持按 SRT / WebVTT 时间轴配音，超时的台词自动加速并在报告中列出
+ * - MP3 分块去除重复的元数据帧，非流式响应可写入 Info 帧并返回 X-Audio-Duration
+ * - TTS_BACKEND=mock 时离线生成模拟音频，可注入延迟与 429 / 5xx 错误
+ * - 上游服务可插拔（Translator 端点、Azure Speech 密钥、Edge 朗读接口），按优先级故障转移
+ * - OpenAI instructions 映射为 express-as 风格、强度、角色与语速音调，并按音色能力校验
+ * - 请求 ID 贯穿响应与错误，Server-Timing 给出 Token、合成与拼接耗时，按请求与文本块输出 JSON 日志
+ * - 上游与 Token 错误映射为 OpenAI 风格的错误类型、错误码与状态码，并转发 Retry-After
+ * - stream_format: "sse" 以 speech.audio.delta / speech.audio.done 事件推送 base64 音频与文本块进度
  */
 
-// =================================================================================
-// 配置参数
-// =================================================================================
-
-// 批处理配置 - 控制并发请求数量以避免 EdgeOne 限制
-const DEFAULT_CONCURRENCY = 10; // 现在作为批处理大小使用
-const DEFAULT_CHUNK_SIZE = 300; // 默认文本分块大小
-
-// OpenAI 语音映射到 Microsoft 语音
-const OPENAI_VOICE_MAP = {
-  "shimmer": "zh-CN-XiaoxiaoNeural",    // 温柔女声 -> 晓晓
-  "alloy": "zh-CN-YunyangNeural",       // 专业男声 -> 云扬
-  "fable": "zh-CN-YunjianNeural",       // 激情男声 -> 云健
-  "onyx": "zh-CN-XiaoyiNeural",         // 活泼女声 -> 晓伊
-  "nova": "zh-CN-YunxiNeural",          // 阳光男声 -> 云希
-  "echo": "zh-CN-liaoning-XiaobeiNeural" // 东北女声 -> 晓北
-};
-
-
+import { createAudioEncoder, getAudioDuration, concatBytes } from "../../../../lib/audio.js";
+import { buildCues, formatSubtitles, SUBTITLE_CONTENT_TYPES } from "../../../../lib/subtitles.js";
+import { bytesToBase64 } from "../../../../lib/endpoint.js";
+import { getRetryPolicy } from "../../../../lib/retry.js";
+import { getAudioCache } from "../../../../lib/cache.js";
+import { authenticate, consumeRequest, authorizeVoices, chargeSpeech, refundUsage } from "../../../../lib/auth.js";
+import { resolveMaxSpeed, synthesizeDubbing } from "../../../../lib/dubbing.js";
+import { resolveProviders } from "../../../../lib/providers.js";
+import { createTrace, measure, annotate, applyTraceHeaders, logRequest } from "../../../../lib/tracing.js";
+import {
+  errorResponse,
+  paramErrorResponse,
+  authErrorResponse,
+  upstreamErrorResponse,
+  internalErrorResponse,
+  describeError,
+  attachRequestId,
+  applyCORSHeaders
+} from "../../../../lib/errors.js";
+import {
+  DEFAULT_CONCURRENCY,
+  prepareSpeech,
+  synthesizeChunks,
+  synthesizeInOrder,
+  assembleAudio,
+  computeETag
+} from "../../../../lib/synthesis.js";
 
 // =================================================================================
 // 主事件处理器
@@ -49,21 +75,27 @@ export default async function onRequest(context) {
   // 处理 CORS 预检请求
   if (request.method === "OPTIONS") return handleOptions(request);
 
-  // API 密钥验证
-  const API_KEY = context.env.API_KEY;
-  if (API_KEY) {
-    const authHeader = request.headers.get("authorization");
-    if (!authHeader || !authHeader.startsWith("Bearer ") || authHeader.slice(7) !== API_KEY) {
-      return errorResponse("无效的 API 密钥", 401, "invalid_api_key");
-    }
+  const trace = createTrace(request, context.env);
+
+  // API 密钥验证与请求频率限制
+  let apiKey;
+  try {
+    apiKey = await authenticate(request, context.env);
+    consumeRequest(apiKey);
+  } catch (err) {
+    return finishRequest(authErrorResponse(err), trace);
   }
+  annotate(trace, { key: apiKey ? apiKey.name : null });
 
+  let response;
   try {
     // 处理语音合成请求
-    return await handleSpeechRequest(request);
+    response = await handleSpeechRequest(request, context.env, apiKey, trace);
   } catch (err) {
-    return errorResponse(`处理错误: ${err.message} | 堆栈: ${err.stack}`, 500, "internal_server_error");
+    console.error(err.stack);
+    response = internalErrorResponse(err, `处理错误: ${err.message}`, context.env);
   }
+  return finishRequest(response, trace);
 }
 
 // =================================================================================
@@ -83,9 +115,12 @@ function handleOptions(request) {
 /**
  * 处理语音合成请求
  * @param {Request} request - HTTP 请求对象
+ * @param {Object} env - 环境变量
+ * @param {Object|null} apiKey - 当前请求使用的密钥（未启用认证时为 null）
+ * @param {Object} trace - 请求追踪记录
  * @returns {Promise<Response>} 语音数据响应
  */
-async function handleSpeechRequest(request) {
+async function handleSpeechRequest(request, env, apiKey, trace) {
   if (request.method !== "POST") {
     return errorResponse("不允许的方法", 405, "method_not_allowed");
   }
@@ -97,444 +132,506 @@ async function handleSpeechRequest(request) {
     return errorResponse(`JSON 解析错误: ${err.message}`, 400, "invalid_request_error");
   }
 
-  if (!requestBody.input) {
-    return errorResponse("'input' 是必需参数", 400, "invalid_request_error");
-  }
-
-  // 解析请求参数并设置默认值
+  // 解析请求参数并设置默认值（合成相关参数由 prepareSpeech 解析）
   const {
-    model = "tts-1",                    // 模型名称
-    input,                              // 输入文本
-    voice = "shimmer",                  // 语音
-    speed = 1.0,                        // 语速 (0.25-2.0)
-    pitch = 1.0,                        // 音调 (0.5-1.5)
-    style = "general",                  // 语音风格
     stream = false,                     // 是否流式输出
+    stream_format = "audio",            // 流式输出格式 (audio / sse)
     concurrency = DEFAULT_CONCURRENCY, // 并发数
-    chunk_size = DEFAULT_CHUNK_SIZE,    // 分块大小
-    cleaning_options = {}               // 文本清理选项
+    cache = true,                       // 是否使用音频缓存
+    xing_header = true,                 // 非流式 mp3 是否写入记录总时长的 Info 帧
+    subtitle_format,                    // 字幕格式 (srt / vtt)，设置后启用字幕
+    subtitle_granularity = "sentence",  // 字幕粒度 (chunk / sentence)
+    subtitle_output = "json",           // 字幕返回方式 (json / multipart / subtitles)
+    max_speed,                          // 字幕配音时自动加速的语速上限
+    dubbing_output = "json"             // 字幕配音返回方式 (json / audio)
   } = requestBody;
 
-  // 合并默认清理选项
-  const finalCleaningOptions = {
-    remove_markdown: true,      // 移除 Markdown
-    remove_emoji: true,         // 移除 Emoji
-    remove_urls: true,          // 移除 URL
-    remove_line_breaks: true,   // 移除换行符
-    remove_citation_numbers: true, // 移除引用数字
-    custom_keywords: "",        // 自定义关键词
-    ...cleaning_options
-  };
+  // 流式输出格式校验，sse 总是流式输出
+  if (!["audio", "sse"].includes(stream_format)) {
+    return errorResponse(`无效的 stream_format '${stream_format}'，可选值: audio, sse`, 400, "invalid_request_error", { param: "stream_format" });
+  }
+  const sse = stream_format === "sse";
 
-  // 清理输入文本
-  const cleanedInput = cleanText(input, finalCleaningOptions);
+  // 字幕参数校验
+  if (subtitle_format) {
+    if (!SUBTITLE_CONTENT_TYPES[subtitle_format]) {
+      return errorResponse(`无效的 subtitle_format '${subtitle_format}'，可选值: srt, vtt`, 400, "invalid_request_error", { param: "subtitle_format" });
+    }
+    if (!["chunk", "sentence"].includes(subtitle_granularity)) {
+      return errorResponse(`无效的 subtitle_granularity '${subtitle_granularity}'，可选值: chunk, sentence`, 400, "invalid_request_error", { param: "subtitle_granularity" });
+    }
+    if (!["json", "multipart", "subtitles"].includes(subtitle_output)) {
+      return errorResponse(`无效的 subtitle_output '${subtitle_output}'，可选值: json, multipart, subtitles`, 400, "invalid_request_error", { param: "subtitle_output" });
+    }
+    if (stream || sse) {
+      return errorResponse("字幕模式需要完整音频计算时长，不支持流式输出", 400, "invalid_request_error", { param: sse ? "stream_format" : "stream" });
+    }
+  }
 
-  // 语音映射处理
-  const modelVoice = !voice ? OPENAI_VOICE_MAP[model.replace('tts-1-', '')] : null;
-  const finalVoice = modelVoice || voice;
+  // 语音映射、输出格式映射与分块
+  let plan;
+  try {
+    plan = await measure(trace, "prepare", () => prepareSpeech(requestBody, env));
+  } catch (err) {
+    return paramErrorResponse(err);
+  }
+  const { textChunks, ttsArgs, format } = plan;
+  annotate(trace, { voice: plan.voices.join(","), chunks: textChunks.length, characters: plan.characters, format: format.name });
+
+  // 字幕配音参数校验
+  let maxSpeed;
+  if (plan.cues) {
+    if (stream || sse || subtitle_format) {
+      return errorResponse("字幕配音需要按时间轴拼接完整音频，不支持流式输出与 subtitle_format", 400, "invalid_request_error", {
+        param: sse ? "stream_format" : stream ? "stream" : "subtitle_format"
+      });
+    }
+    if (!["json", "audio"].includes(dubbing_output)) {
+      return errorResponse(`无效的 dubbing_output '${dubbing_output}'，可选值: json, audio`, 400, "invalid_request_error", { param: "dubbing_output" });
+    }
+    try {
+      maxSpeed = resolveMaxSpeed(max_speed, requestBody.speed);
+    } catch (err) {
+      return paramErrorResponse(err);
+    }
+  }
 
-  if (!finalVoice) {
-    return errorResponse(`无效的语音模型 - model: ${model}, voice: ${voice}, modelVoice: ${modelVoice}`, 400, "invalid_request_error");
+  // 按密钥检查可用音色
+  try {
+    authorizeVoices(apiKey, plan, env);
+  } catch (err) {
+    return authErrorResponse(err);
   }
 
-  // 参数转换为 Microsoft TTS 格式
-  const rate = ((speed - 1) * 100).toFixed(0);        // 语速转换
-  const finalPitch = ((pitch - 1) * 100).toFixed(0);  // 音调转换
-  const outputFormat = "audio-24khz-48kbitrate-mono-mp3"; // 输出格式
+  const synthOptions = {
+    concurrency,
+    retryPolicy: getRetryPolicy(env),
+    cache: cache === false ? null : getAudioCache(env),
+    cacheStats: { hits: 0, misses: 0 },
+    xingHeader: xing_header !== false,
+    upstream: resolveProviders(env),
+    trace
+  };
+
+  // 相同的分块 SSML、输出格式与封装方式必然得到相同的响应，可在合成前计算 ETag；
+  // 字幕、字幕配音与事件流的响应体不只取决于音频，不使用 ETag。304 不计入用量
+  if (!plan.cues && !subtitle_format && !sse) {
+    synthOptions.etag = await computeETag(textChunks, { format: format.name, xingHeader: synthOptions.xingHeader, stream }, ...ttsArgs);
+    if (request.headers.get("If-None-Match") === synthOptions.etag) {
+      refundUsage(apiKey, { requests: 1 });
+      return new Response(null, { status: 304, headers: { "ETag": synthOptions.etag, ...makeCORSHeaders() } });
+    }
+  }
 
-  // 智能文本分块
-  const textChunks = smartChunkText(cleanedInput, chunk_size);
-  const ttsArgs = [finalVoice, rate, finalPitch, style, outputFormat];
+  // 合成前扣除字符配额，合成失败时（包括流式响应中途失败）退还
+  try {
+    chargeSpeech(apiKey, plan);
+  } catch (err) {
+    return authErrorResponse(err);
+  }
+  synthOptions.onFailure = () => refundUsage(apiKey, { characters: plan.characters, requests: 1 });
 
-  // 根据是否流式选择处理方式
-  if (stream) {
-    return await streamVoice(textChunks, concurrency, ...ttsArgs);
-  } else {
-    return await getVoice(textChunks, concurrency, ...ttsArgs);
+  let response;
+  try {
+    response = await synthesizeResponse(plan, synthOptions, {
+      stream,
+      sse,
+      source: typeof requestBody.input === "string" ? requestBody.input : "",
+      subtitleOptions: subtitle_format
+        ? { format: subtitle_format, granularity: subtitle_granularity, output: subtitle_output }
+        : null,
+      maxSpeed,
+      dubbingOutput: dubbing_output
+    });
+  } catch (err) {
+    synthOptions.onFailure();
+    throw err;
   }
+  if (!response.ok) synthOptions.onFailure();
+  return response;
 }
 
+/**
+ * 根据请求选择输出方式并合成
+ * @param {Object} plan - prepareSpeech 返回的合成计划
+ * @param {Object} synthOptions - 合成选项
+ * @param {Object} output - 输出选项 { stream, sse, source, subtitleOptions, maxSpeed, dubbingOutput }
+ * @returns {Promise<Response>} 语音数据响应
+ */
+async function synthesizeResponse(plan, synthOptions, output) {
+  const { textChunks, ttsArgs, format } = plan;
 
+  if (plan.cues) {
+    return await getDubbedVoice(plan, synthOptions, output.maxSpeed, output.dubbingOutput);
+  }
+  if (output.subtitleOptions) {
+    return await getVoiceWithSubtitles(textChunks, synthOptions, format, output.subtitleOptions, ...ttsArgs);
+  }
+  if (output.sse) {
+    return await streamEvents(textChunks, synthOptions, format, output.source, ...ttsArgs);
+  }
+  if (output.stream) {
+    return await streamVoice(textChunks, synthOptions, format, ...ttsArgs);
+  }
+  return await getVoice(textChunks, synthOptions, format, ...ttsArgs);
+}
 
 // =================================================================================
-// 核心 TTS 逻辑 (自动批处理机制)
+// 核心 TTS 逻辑 (滑动窗口并发)
 // =================================================================================
 
 /**
  * 流式语音生成
+ *
+ * 立即返回响应，合成在后台进行：每个文本块在其自身及之前所有块就绪后立刻写出。
+ * 中途失败时响应流会被中止（而非正常结束），客户端读取时会收到错误。
+ * 请求日志在流结束后输出，以包含完整的合成耗时。
+ *
  * @param {string[]} textChunks - 文本块数组
- * @param {number} concurrency - 并发数
+ * @param {Object} synthOptions - 合成选项 { concurrency, retryPolicy, cache, cacheStats, etag, trace, onFailure }
+ * @param {Object} format - 输出格式描述
  * @param {...any} ttsArgs - TTS 参数
  * @returns {Promise<Response>} 流式音频响应
  */
-async function streamVoice(textChunks, concurrency, ...ttsArgs) {
+async function streamVoice(textChunks, synthOptions, format, ...ttsArgs) {
   const { readable, writable } = new TransformStream();
-  try {
-    // 等待流式管道完成以便捕获错误
-    await pipeChunksToStream(writable.getWriter(), textChunks, concurrency, ...ttsArgs);
-    return new Response(readable, {
-      headers: { "Content-Type": "audio/mpeg", ...makeCORSHeaders() }
+  const { trace } = synthOptions;
+  annotate(trace, { stream: true });
+
+  // 不等待管道完成，尽早返回首字节
+  pipeChunksToStream(writable.getWriter(), textChunks, synthOptions, format, ...ttsArgs)
+    .then(() => logRequest(trace, { status: 200 }))
+    .catch(error => {
+      console.error(`流式 TTS 失败: ${error.message}`);
+      synthOptions.onFailure?.();
+      logRequest(trace, { status: 200, error: error.message });
     });
-  } catch (error) {
-    return errorResponse(`流式 TTS 失败: ${error.message}`, 500, "tts_generation_error");
-  }
+
+  return new Response(readable, {
+    headers: {
+      "Content-Type": format.contentType,
+      "Cache-Control": "no-store",
+      "X-Audio-Chunks": String(textChunks.length),
+      "ETag": synthOptions.etag,
+      ...makeCORSHeaders()
+    }
+  });
 }
 
 /**
  * 将文本块流式传输到响应流
  * @param {WritableStreamDefaultWriter} writer - 写入器
  * @param {string[]} chunks - 文本块
- * @param {number} concurrency - 并发数
+ * @param {Object} synthOptions - 合成选项 { concurrency, retryPolicy, cache, cacheStats, etag }
+ * @param {Object} format - 输出格式描述
  * @param {...any} ttsArgs - TTS 参数
  */
-async function pipeChunksToStream(writer, chunks, concurrency, ...ttsArgs) {
+async function pipeChunksToStream(writer, chunks, synthOptions, format, ...ttsArgs) {
+  // 流式模式下总长度未知，由封装器写入一次文件头
+  const encoder = createAudioEncoder(format);
+  const writeParts = async (parts) => {
+    for (const part of parts) await writer.write(part);
+  };
+
   try {
-    // 分批处理文本块以避免超出 EdgeOne 子请求限制
-    for (let i = 0; i < chunks.length; i += concurrency) {
-      const batch = chunks.slice(i, i + concurrency);
-      const audioPromises = batch.map(chunk => getAudioChunk(chunk, ...ttsArgs));
-
-      // 仅等待当前批次完成
-      const audioBlobs = await Promise.all(audioPromises);
-
-      // 将音频数据写入流
-      for (const blob of audioBlobs) {
-        const arrayBuffer = await blob.arrayBuffer();
-        writer.write(new Uint8Array(arrayBuffer));
-      }
-    }
+    await writeParts(encoder.start());
+    await measure(synthOptions.trace, "synthesis", () =>
+      synthesizeInOrder(chunks, synthOptions, ttsArgs, bytes => writeParts(encoder.write(bytes)))
+    );
+    await writeParts(encoder.end());
+    await writer.close();
   } catch (error) {
-    writer.abort(error);
+    // 中止流让客户端感知到失败，而不是收到一个被截断但看似完整的文件
+    await writer.abort(error).catch(() => {});
     throw new Error(`流式处理失败: ${error.message}`);
-  } finally {
-    writer.close();
   }
 }
 
 /**
- * 非流式语音生成
- * @param {string[]} textChunks - 文本块数组
- * @param {number} concurrency - 并发数
+ * 以 Server-Sent Events 流式输出语音
+ *
+ * 事件格式与 OpenAI 的 stream_format: "sse" 一致：每个文本块就绪后发送一个 speech.audio.delta 事件，
+ * 携带该块的 base64 音频及文本块信息（序号、文本、在 input 中的位置、时长与累计时长），
+ * 全部完成后发送 speech.audio.done。依次解码并拼接各 delta 的音频即得到完整文件。
+ * 响应已开始后无法再改变状态码，中途失败时发送 error 事件并正常结束流。
+ *
+ * @param {Array<string|{ssml: string, text: string}>} textChunks - 文本块数组
+ * @param {Object} synthOptions - 合成选项 { concurrency, retryPolicy, cache, cacheStats, trace, onFailure }
+ * @param {Object} format - 输出格式描述
+ * @param {string} source - 请求的 input，用于定位各文本块的位置
  * @param {...any} ttsArgs - TTS 参数
- * @returns {Promise<Response>} 完整音频响应
+ * @returns {Promise<Response>} text/event-stream 响应
  */
-async function getVoice(textChunks, concurrency, ...ttsArgs) {
-  const allAudioBlobs = [];
-  try {
-    // 非流式模式也使用批处理
-    for (let i = 0; i < textChunks.length; i += concurrency) {
-      const batch = textChunks.slice(i, i + concurrency);
-      const audioPromises = batch.map(chunk => getAudioChunk(chunk, ...ttsArgs));
-
-      // 等待当前批次并收集结果
-      const audioBlobs = await Promise.all(audioPromises);
-      allAudioBlobs.push(...audioBlobs);
-    }
-
-    // 合并所有音频数据
-    const concatenatedAudio = new Blob(allAudioBlobs, { type: 'audio/mpeg' });
-    return new Response(concatenatedAudio, {
-      headers: { "Content-Type": "audio/mpeg", ...makeCORSHeaders() }
+async function streamEvents(textChunks, synthOptions, format, source, ...ttsArgs) {
+  const { readable, writable } = new TransformStream();
+  const { trace } = synthOptions;
+  annotate(trace, { stream: true, stream_format: "sse" });
+
+  // 不等待管道完成，尽早返回首个事件
+  pipeChunksToEvents(writable.getWriter(), textChunks, synthOptions, format, source, ...ttsArgs)
+    .then(error => {
+      if (error) synthOptions.onFailure?.();
+      logRequest(trace, { status: 200, ...(error ? { error: error.message, code: error.code } : {}) });
     });
-  } catch (error) {
-    return errorResponse(`非流式 TTS 失败: ${error.message}`, 500, "tts_generation_error");
-  }
-}
 
-/**
- * 获取单个文本块的音频数据
- * @param {string} text - 文本内容
- * @param {string} voiceName - 语音名称
- * @param {string} rate - 语速
- * @param {string} pitch - 音调
- * @param {string} style - 语音风格
- * @param {string} outputFormat - 输出格式
- * @returns {Promise<Blob>} 音频 Blob
- */
-async function getAudioChunk(text, voiceName, rate, pitch, style, outputFormat) {
-  const endpoint = await getEndpoint();
-  const url = `https://${endpoint.r}.tts.speech.microsoft.com/cognitiveservices/v1`;
-  const ssml = getSsml(text, voiceName, rate, pitch, style);
-
-  const response = await fetch(url, {
-    method: "POST",
+  return new Response(readable, {
     headers: {
-      "Authorization": endpoint.t,
-      "Content-Type": "application/ssml+xml",
-      "User-Agent": "okhttp/4.5.0",
-      "X-Microsoft-OutputFormat": outputFormat
-    },
-    body: ssml
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-store",
+      "X-Audio-Chunks": String(textChunks.length),
+      ...makeCORSHeaders()
+    }
   });
-
-  if (!response.ok) {
-    const errorText = await response.text();
-    throw new Error(`Edge TTS API 错误: ${response.status} ${response.statusText} - ${errorText}`);
-  }
-
-  return response.blob();
 }
 
-// =================================================================================
-// 稳定的身份验证与辅助函数
-// =================================================================================
-
-// Token 缓存信息
-let tokenInfo = { endpoint: null, token: null, expiredAt: null };
-const TOKEN_REFRESH_BEFORE_EXPIRY = 5 * 60; // 提前 5 分钟刷新 Token
-
 /**
- * 获取 Microsoft TTS 服务端点和 Token
- * @returns {Promise<Object>} 端点信息对象
+ * 将文本块音频以事件形式写入响应流
+ *
+ * 容器的文件头并入第一个 delta，结尾数据并入最后一个 delta，保证拼接结果与 stream: true 相同。
+ *
+ * @param {WritableStreamDefaultWriter} writer - 写入器
+ * @param {Array<string|{ssml: string, text: string}>} chunks - 文本块
+ * @param {Object} synthOptions - 合成选项 { concurrency, retryPolicy, cache, cacheStats, trace }
+ * @param {Object} format - 输出格式描述
+ * @param {string} source - 请求的 input
+ * @param {...any} ttsArgs - TTS 参数
+ * @returns {Promise<Object|null>} 失败时返回已发送的错误对象，成功时返回 null
  */
-async function getEndpoint() {
-  const now = Date.now() / 1000;
-
-  // 检查 Token 是否仍然有效
-  if (tokenInfo.token && tokenInfo.expiredAt &&
-    now < tokenInfo.expiredAt - TOKEN_REFRESH_BEFORE_EXPIRY) {
-    return tokenInfo.endpoint;
-  }
-
-  const endpointUrl = "https://dev.microsofttranslator.com/apps/endpoint?api-version=1.0";
+async function pipeChunksToEvents(writer, chunks, synthOptions, format, source, ...ttsArgs) {
+  const { trace } = synthOptions;
+  const textEncoder = new TextEncoder();
+  const writeEvent = event => writer.write(textEncoder.encode(`data: ${JSON.stringify(event)}\n\n`));
+  const encoder = createAudioEncoder(format);
+  const spans = locateChunkSpans(chunks, source);
+  let pending = encoder.start();
+  let elapsed = 0;
+  let failure = null;
 
-  let clientId;
   try {
-    clientId = crypto.randomUUID().replace(/-/g, "");
-  } catch (e) {
-    // 如果 crypto.randomUUID 不可用，使用备用方法
-    clientId = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+    await measure(trace, "synthesis", () =>
+      synthesizeInOrder(chunks, synthOptions, ttsArgs, async (bytes, index) => {
+        const duration = getAudioDuration(bytes, format);
+        elapsed += duration;
+        const parts = [...pending, ...encoder.write(bytes), ...(index === chunks.length - 1 ? encoder.end() : [])];
+        pending = [];
+        await writeEvent({
+          type: "speech.audio.delta",
+          audio: await bytesToBase64(concatBytes(parts)),
+          chunk: {
+            index,
+            total: chunks.length,
+            text: typeof chunks[index] === "string" ? chunks[index] : chunks[index].text,
+            text_start: spans[index] ? spans[index][0] : null,
+            text_end: spans[index] ? spans[index][1] : null,
+            duration: roundSeconds(duration),
+            cumulative_duration: roundSeconds(elapsed)
+          }
+        });
+      })
+    );
+    await writeEvent({ type: "speech.audio.done", duration: roundSeconds(elapsed), chunks: chunks.length });
+  } catch (error) {
+    console.error(`SSE 流式 TTS 失败: ${error.message}`);
+    failure = describeError(error, `流式 TTS 失败: ${error.message}`);
+    // 客户端已断开时无法再写入，忽略写入错误
+    await writeEvent({ type: "error", error: { ...failure, request_id: trace.id } }).catch(() => {});
   }
+  await writer.close().catch(() => {});
+  return failure;
+}
 
+/**
+ * 非流式语音生成
+ * @param {string[]} textChunks - 文本块数组
+ * @param {Object} synthOptions - 合成选项 { concurrency, retryPolicy, cache, cacheStats, etag, xingHeader }
+ * @param {Object} format - 输出格式描述
+ * @param {...any} ttsArgs - TTS 参数
+ * @returns {Promise<Response>} 完整音频响应
+ */
+async function getVoice(textChunks, synthOptions, format, ...ttsArgs) {
+  const { trace } = synthOptions;
   try {
-    const signature = await sign(endpointUrl);
-
-    const response = await fetch(endpointUrl, {
-      method: "POST",
+    const audioChunks = await measure(trace, "synthesis", () => synthesizeChunks(textChunks, synthOptions, ...ttsArgs));
+    const concatenatedAudio = await measure(trace, "assembly", () =>
+      assembleAudio(audioChunks, format, { xingHeader: synthOptions.xingHeader })
+    );
+    return new Response(concatenatedAudio, {
       headers: {
-        "Accept-Language": "zh-Hans",
-        "X-ClientVersion": "4.0.530a 5fe1dc6c",
-        "X-UserId": "0f04d16a175c411e",
-        "X-HomeGeographicRegion": "zh-Hans-CN",
-        "X-ClientTraceId": clientId,
-        "X-MT-Signature": signature,
-        "User-Agent": "okhttp/4.5.0",
-        "Content-Type": "application/json; charset=utf-8",
-        "Content-Length": "0",
-        "Accept-Encoding": "gzip"
+        "Content-Type": format.contentType,
+        "ETag": synthOptions.etag,
+        "X-Audio-Duration": formatDuration(totalDuration(audioChunks, format)),
+        ...cacheHeaders(synthOptions, textChunks.length),
+        ...makeCORSHeaders()
       }
     });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`获取端点失败: ${response.status} ${response.statusText} - ${errorText}`);
-    }
-
-    const data = await response.json();
-
-    // 解析 JWT Token 获取过期时间
-    let decodedJwt;
-    try {
-      const jwt = data.t.split(".")[1];
-
-      // 尝试多种 base64 解码方式
-      let decoded;
-      if (typeof atob !== 'undefined') {
-        decoded = atob(jwt);
-      } else if (typeof Buffer !== 'undefined') {
-        decoded = Buffer.from(jwt, 'base64').toString('utf-8');
-      } else {
-        // 手动 base64 解码
-        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
-        let result = '';
-        for (let i = 0; i < jwt.length; i += 4) {
-          const a = chars.indexOf(jwt[i]);
-          const b = chars.indexOf(jwt[i + 1]);
-          const c = chars.indexOf(jwt[i + 2]);
-          const d = chars.indexOf(jwt[i + 3]);
-
-          result += String.fromCharCode((a << 2) | (b >> 4));
-          if (c !== 64) result += String.fromCharCode(((b & 15) << 4) | (c >> 2));
-          if (d !== 64) result += String.fromCharCode(((c & 3) << 6) | d);
-        }
-        decoded = result;
-      }
-
-      decodedJwt = JSON.parse(decoded);
-    } catch (e) {
-      throw new Error(`JWT 解析失败: ${e.message}`);
-    }
-
-    // 更新 Token 缓存
-    tokenInfo = {
-      endpoint: data,
-      token: data.t,
-      expiredAt: decodedJwt.exp
-    };
-
-    return data;
   } catch (error) {
-    // 如果有缓存的 Token，使用过期的 Token 作为备用
-    if (tokenInfo.token) {
-      return tokenInfo.endpoint;
-    }
-
-    throw new Error(`端点获取失败: ${error.message}`);
+    return upstreamErrorResponse(error, `非流式 TTS 失败: ${error.message}`);
   }
 }
 
 /**
- * 生成 Microsoft Translator 签名
- * @param {string} urlStr - 要签名的 URL
- * @returns {Promise<string>} 签名字符串
+ * 生成音频及与之对齐的字幕
+ * @param {string[]} textChunks - 文本块数组
+ * @param {Object} synthOptions - 合成选项 { concurrency, retryPolicy, cache, cacheStats, etag }
+ * @param {Object} format - 输出格式描述
+ * @param {Object} subtitleOptions - 字幕选项 { format, granularity, output }
+ * @param {...any} ttsArgs - TTS 参数
+ * @returns {Promise<Response>} 字幕、JSON 信封或 multipart 响应
  */
-async function sign(urlStr) {
-  const url = urlStr.split("://")[1];
-  const encodedUrl = encodeURIComponent(url);
-
-  let uuidStr;
+async function getVoiceWithSubtitles(textChunks, synthOptions, format, subtitleOptions, ...ttsArgs) {
+  const { trace } = synthOptions;
   try {
-    uuidStr = crypto.randomUUID().replace(/-/g, "");
-  } catch (e) {
-    // 如果 crypto.randomUUID 不可用，使用备用方法
-    uuidStr = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
-  }
-
-  const formattedDate = (new Date()).toUTCString().replace(/GMT/, "").trim() + " GMT";
-
-  // 构建待签名字符串
-  const bytesToSign = `MSTranslatorAndroidApp${encodedUrl}${formattedDate}${uuidStr}`.toLowerCase();
+    const audioChunks = await measure(trace, "synthesis", () => synthesizeChunks(textChunks, synthOptions, ...ttsArgs));
+
+    // 按每块音频的解码时长计算字幕时间轴
+    const durations = audioChunks.map(bytes => getAudioDuration(bytes, format));
+    const cues = buildCues(textChunks, durations, subtitleOptions.granularity);
+    const subtitles = formatSubtitles(cues, subtitleOptions.format);
+    const subtitleType = SUBTITLE_CONTENT_TYPES[subtitleOptions.format];
+    const audio = await measure(trace, "assembly", () =>
+      assembleAudio(audioChunks, format, { xingHeader: synthOptions.xingHeader })
+    );
+    const duration = durations.reduce((sum, d) => sum + d, 0);
+
+    if (subtitleOptions.output === "subtitles") {
+      return new Response(subtitles, {
+        headers: {
+          "Content-Type": subtitleType,
+          "X-Audio-Duration": formatDuration(duration),
+          ...cacheHeaders(synthOptions, textChunks.length),
+          ...makeCORSHeaders()
+        }
+      });
+    }
 
-  // 解码密钥并生成 HMAC 签名
-  const decode = await base64ToBytes("oik6PdDdMnOXemTbwvMn9de/h9lFnfBaCWbGMMZqqoSaQaqUOqjVGm5NqsmjcBI1x+sS9ugjB55HEJWRiFXYFw==");
-  const signData = await hmacSha256(decode, bytesToSign);
-  const signBase64 = await bytesToBase64(signData);
+    if (subtitleOptions.output === "multipart") {
+      const boundary = `tts-${Date.now().toString(36)}`;
+      const body = new Blob([
+        `--${boundary}\r\nContent-Type: ${format.contentType}\r\nContent-Disposition: attachment; filename="speech.${format.extension}"\r\n\r\n`,
+        audio,
+        `\r\n--${boundary}\r\nContent-Type: ${subtitleType}\r\nContent-Disposition: attachment; filename="speech.${subtitleOptions.format}"\r\n\r\n`,
+        subtitles,
+        `\r\n--${boundary}--\r\n`
+      ]);
+      return new Response(body, {
+        headers: {
+          "Content-Type": `multipart/mixed; boundary=${boundary}`,
+          "X-Audio-Duration": formatDuration(duration),
+          ...cacheHeaders(synthOptions, textChunks.length),
+          ...makeCORSHeaders()
+        }
+      });
+    }
 
-  return `MSTranslatorAndroidApp::${signBase64}::${formattedDate}::${uuidStr}`;
+    const audioBase64 = await bytesToBase64(new Uint8Array(await audio.arrayBuffer()));
+    return new Response(JSON.stringify({
+      object: "audio.speech",
+      format: format.name,
+      content_type: format.contentType,
+      duration,
+      audio: audioBase64,
+      subtitle_format: subtitleOptions.format,
+      subtitles,
+      cues
+    }), {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Audio-Duration": formatDuration(duration),
+        ...cacheHeaders(synthOptions, textChunks.length),
+        ...makeCORSHeaders()
+      }
+    });
+  } catch (error) {
+    return upstreamErrorResponse(error, `字幕 TTS 失败: ${error.message}`);
+  }
 }
 
 /**
- * HMAC-SHA256 签名
- * @param {Uint8Array} key - 密钥
- * @param {string} data - 待签名数据
- * @returns {Promise<Uint8Array>} 签名结果
+ * 按字幕时间轴生成配音
+ * @param {Object} plan - prepareSpeech 返回的合成计划（含 cues）
+ * @param {Object} synthOptions - 合成选项 { concurrency, retryPolicy, cache, cacheStats }
+ * @param {number} maxSpeed - 自动加速的语速上限
+ * @param {string} output - 返回方式: "json" 为 base64 音频 + 报告，"audio" 为音频文件
+ * @returns {Promise<Response>} JSON 信封或音频响应
  */
-async function hmacSha256(key, data) {
-  // 检查 EdgeOne Pages 环境中的 crypto API
-  if (!crypto || !crypto.subtle) {
-    throw new Error("crypto.subtle API 不可用，EdgeOne Pages 环境可能不支持此功能");
-  }
-
+async function getDubbedVoice(plan, synthOptions, maxSpeed, output) {
+  const { format } = plan;
+  const { trace } = synthOptions;
   try {
-    // 确保 key 是 Uint8Array 格式
-    const keyBuffer = key instanceof Uint8Array ? key : new Uint8Array(key);
-
-    // 导入密钥，使用更兼容的参数
-    const cryptoKey = await crypto.subtle.importKey(
-      "raw",
-      keyBuffer,
-      {
-        name: "HMAC",
-        hash: "SHA-256"  // 简化 hash 参数
-      },
-      false,
-      ["sign"]
+    const result = await measure(trace, "synthesis", () => synthesizeDubbing(plan, synthOptions, maxSpeed));
+    const audio = await measure(trace, "assembly", () =>
+      assembleAudio(result.audioChunks, format, { xingHeader: synthOptions.xingHeader })
     );
+    // 加速重新合成的台词也会计入缓存统计，按实际请求数计算
+    const requests = synthOptions.cacheStats.hits + synthOptions.cacheStats.misses;
+
+    if (output === "audio") {
+      return new Response(audio, {
+        headers: {
+          "Content-Type": format.contentType,
+          "X-Audio-Duration": formatDuration(result.duration),
+          "X-Dubbing-Overflows": String(result.overflows.length),
+          ...(result.overflows.length ? { "X-Dubbing-Overflow-Cues": result.overflows.map(cue => cue.index).join(",") } : {}),
+          ...cacheHeaders(synthOptions, requests),
+          ...makeCORSHeaders()
+        }
+      });
+    }
 
-    // 确保数据是正确的格式
-    const dataBuffer = typeof data === 'string' ? new TextEncoder().encode(data) : data;
-
-    // 执行签名
-    const signature = await crypto.subtle.sign("HMAC", cryptoKey, dataBuffer);
-    return new Uint8Array(signature);
-  } catch (e) {
-    throw new Error(`HMAC 签名失败: ${e.message} | 详细信息: ${e.stack}`);
+    const audioBase64 = await bytesToBase64(new Uint8Array(await audio.arrayBuffer()));
+    return new Response(JSON.stringify({
+      object: "audio.dubbing",
+      format: format.name,
+      content_type: format.contentType,
+      duration: result.duration,
+      audio: audioBase64,
+      cues: result.cues,
+      overflows: result.overflows
+    }), {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Audio-Duration": formatDuration(result.duration),
+        ...cacheHeaders(synthOptions, requests),
+        ...makeCORSHeaders()
+      }
+    });
+  } catch (error) {
+    return upstreamErrorResponse(error, `字幕配音失败: ${error.message}`);
   }
 }
 
 /**
- * Base64 字符串转字节数组
- * @param {string} base64 - Base64 字符串
- * @returns {Promise<Uint8Array>} 字节数组
+ * 为响应附加请求 ID、Server-Timing 与完整的 CORS 头，错误响应体中写入 request_id，并输出请求日志
+ *
+ * 流式响应的请求日志在流结束后由 streamVoice 输出。
+ *
+ * @param {Response} response - 响应对象
+ * @param {Object} trace - 请求追踪记录
+ * @returns {Promise<Response>} 附加了追踪信息的响应
  */
-async function base64ToBytes(base64) {
-  try {
-    // 检查全局 atob 函数
-    if (typeof atob !== 'undefined') {
-      const binaryString = atob(base64);
-      const bytes = new Uint8Array(binaryString.length);
-      for (let i = 0; i < binaryString.length; i++) {
-        bytes[i] = binaryString.charCodeAt(i);
-      }
-      return bytes;
-    }
-
-    // 如果 atob 不可用，尝试使用 Buffer (Node.js 环境)
-    if (typeof Buffer !== 'undefined') {
-      return new Uint8Array(Buffer.from(base64, 'base64'));
-    }
-
-    // 手动实现 base64 解码作为最后的备用方案
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
-    let result = '';
-    for (let i = 0; i < base64.length; i += 4) {
-      const a = chars.indexOf(base64[i]);
-      const b = chars.indexOf(base64[i + 1]);
-      const c = chars.indexOf(base64[i + 2]);
-      const d = chars.indexOf(base64[i + 3]);
-
-      result += String.fromCharCode((a << 2) | (b >> 4));
-      if (c !== 64) result += String.fromCharCode(((b & 15) << 4) | (c >> 2));
-      if (d !== 64) result += String.fromCharCode(((c & 3) << 6) | d);
-    }
-
-    const bytes = new Uint8Array(result.length);
-    for (let i = 0; i < result.length; i++) {
-      bytes[i] = result.charCodeAt(i);
-    }
-    return bytes;
-  } catch (e) {
-    throw new Error(`Base64 解码失败: ${e.message}`);
+async function finishRequest(response, trace) {
+  const { response: traced, error } = await attachRequestId(response, trace.id);
+  applyCORSHeaders(traced, makeCORSHeaders());
+  applyTraceHeaders(traced, trace);
+  if (!trace.fields.stream) {
+    logRequest(trace, { status: traced.status, ...(error ? { error: error.message, code: error.code } : {}) });
   }
+  return traced;
 }
 
 /**
- * 字节数组转 Base64 字符串
- * @param {Uint8Array} bytes - 字节数组
- * @returns {Promise<string>} Base64 字符串
+ * 生成缓存命中情况响应头
+ * @param {Object} synthOptions - 合成选项
+ * @param {number} total - 文本块总数
+ * @returns {Object} X-Cache 相关响应头
  */
-async function bytesToBase64(bytes) {
-  try {
-    // 检查全局 btoa 函数
-    if (typeof btoa !== 'undefined') {
-      return btoa(String.fromCharCode.apply(null, bytes));
-    }
-
-    // 如果 btoa 不可用，尝试使用 Buffer (Node.js 环境)
-    if (typeof Buffer !== 'undefined') {
-      return Buffer.from(bytes).toString('base64');
-    }
-
-    // 手动实现 base64 编码作为最后的备用方案
-    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
-    let result = '';
-    let i = 0;
-
-    while (i < bytes.length) {
-      const a = bytes[i++];
-      const b = i < bytes.length ? bytes[i++] : 0;
-      const c = i < bytes.length ? bytes[i++] : 0;
-
-      result += chars[a >> 2];
-      result += chars[((a & 3) << 4) | (b >> 4)];
-      result += i - 2 < bytes.length ? chars[((b & 15) << 2) | (c >> 6)] : '=';
-      result += i - 1 < bytes.length ? chars[c & 63] : '=';
-    }
-
-    return result;
-  } catch (e) {
-    throw new Error(`Base64 编码失败: ${e.message}`);
-  }
+function cacheHeaders(synthOptions, total) {
+  if (!synthOptions.cache) return { "X-Cache": "BYPASS" };
+  const { hits } = synthOptions.cacheStats;
+  return {
+    "X-Cache": hits === total ? "HIT" : hits === 0 ? "MISS" : "PARTIAL",
+    "X-Cache-Hits": `${hits}/${total}`
+  };
 }
 
 // =================================================================================
@@ -542,173 +639,48 @@ async function bytesToBase64(bytes) {
 // =================================================================================
 
 /**
- * 生成 SSML (Speech Synthesis Markup Language) 文档
- * @param {string} text - 文本内容
- * @param {string} voiceName - 语音名称
- * @param {string} rate - 语速百分比
- * @param {string} pitch - 音调百分比
- * @param {string} style - 语音风格
- * @returns {string} SSML 文档
+ * 计算全部文本块音频的总时长
+ * @param {Uint8Array[]} audioChunks - 音频数据
+ * @param {Object} format - 输出格式描述
+ * @returns {number} 秒数
  */
-function getSsml(text, voiceName, rate, pitch, style) {
-  // 先保护 break 标签
-  const breakTagRegex = /<break\s+time="[^"]*"\s*\/?>|<break\s*\/?>|<break\s+time='[^']*'\s*\/?>/gi;
-  const breakTags = [];
-  let processedText = text.replace(breakTagRegex, (match) => {
-    const placeholder = `__BREAK_TAG_${breakTags.length}__`;
-    breakTags.push(match);
-    return placeholder;
-  });
-
-  // 转义其他 XML 特殊字符
-  const sanitizedText = processedText
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;');
-
-  // 恢复 break 标签
-  let finalText = sanitizedText;
-  breakTags.forEach((tag, index) => {
-    finalText = finalText.replace(`__BREAK_TAG_${index}__`, tag);
-  });
-
-  return `<speak xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="http://www.w3.org/2001/mstts" version="1.0" xml:lang="en-US">
-    <voice name="${voiceName}">
-      <mstts:express-as style="${style}">
-        <prosody rate="${rate}%" pitch="${pitch}%">${finalText}</prosody>
-      </mstts:express-as>
-    </voice>
-  </speak>`;
+function totalDuration(audioChunks, format) {
+  return audioChunks.reduce((sum, bytes) => sum + getAudioDuration(bytes, format), 0);
 }
 
 /**
- * 智能文本分块 - 按句子边界分割文本
- * @param {string} text - 输入文本
- * @param {number} maxChunkLength - 最大分块长度
- * @returns {string[]} 文本块数组
+ * 在原始 input 中依次定位各文本块，清理或规范化改变了文本时无法定位
+ * @param {Array<string|{text: string}>} chunks - 文本块数组
+ * @param {string} source - 请求的 input
+ * @returns {Array<[number, number]|null>} 各文本块的 [起始, 结束) 字符位置，无法定位时为 null
  */
-function smartChunkText(text, maxChunkLength) {
-  if (!text) return [];
-
-  const chunks = [];
-  let currentChunk = "";
-
-  // 按句子分隔符分割（支持中英文标点）
-  const sentences = text.split(/([.?!,;:\n。？！，；：\r]+)/g);
-
-  for (const part of sentences) {
-    // 如果当前块加上新部分不超过限制，则添加
-    if (currentChunk.length + part.length <= maxChunkLength) {
-      currentChunk += part;
-    } else {
-      // 保存当前块并开始新块
-      if (currentChunk.trim()) {
-        chunks.push(currentChunk.trim());
-      }
-      currentChunk = part;
-    }
-  }
-
-  // 添加最后一个块
-  if (currentChunk.trim()) {
-    chunks.push(currentChunk.trim());
-  }
-
-  // 如果没有分块成功且文本不为空，强制按长度分割
-  if (chunks.length === 0 && text.length > 0) {
-    for (let i = 0; i < text.length; i += maxChunkLength) {
-      chunks.push(text.substring(i, i + maxChunkLength));
-    }
-  }
-
-  return chunks.filter(chunk => chunk.length > 0);
+function locateChunkSpans(chunks, source) {
+  let cursor = 0;
+  return chunks.map(chunk => {
+    const text = (typeof chunk === "string" ? chunk : chunk.text || "").trim();
+    const start = text ? source.indexOf(text, cursor) : -1;
+    if (start === -1) return null;
+    cursor = start + text.length;
+    return [start, cursor];
+  });
 }
 
 /**
- * 多阶段文本清理函数
- * @param {string} text - 输入文本
- * @param {Object} options - 清理选项
- * @returns {string} 清理后的文本
+ * 把秒数保留三位小数
+ * @param {number} seconds - 秒数
+ * @returns {number} 秒数
  */
-function cleanText(text, options) {
-  let cleanedText = text;
-
-  // 阶段 1: 结构化内容移除
-  if (options.remove_urls) {
-    cleanedText = cleanedText.replace(/(https?:\/\/[^\s]+)/g, '');
-  }
-
-  if (options.remove_markdown) {
-    // 移除图片链接
-    cleanedText = cleanedText.replace(/!\[.*?\]\(.*?\)/g, '');
-    // 移除普通链接，保留链接文本
-    cleanedText = cleanedText.replace(/\[(.*?)\]\(.*?\)/g, '$1');
-    // 移除粗体和斜体
-    cleanedText = cleanedText.replace(/(\*\*|__)(.*?)\1/g, '$2');
-    cleanedText = cleanedText.replace(/(\*|_)(.*?)\1/g, '$2');
-    // 移除代码块
-    cleanedText = cleanedText.replace(/`{1,3}(.*?)`{1,3}/g, '$1');
-    // 移除标题标记
-    cleanedText = cleanedText.replace(/#{1,6}\s/g, '');
-  }
-
-  // 阶段 2: 自定义内容移除
-  if (options.custom_keywords) {
-    const keywords = options.custom_keywords
-      .split(',')
-      .map(k => k.trim())
-      .filter(k => k);
-
-    if (keywords.length > 0) {
-      // 转义正则表达式特殊字符
-      const escapedKeywords = keywords.map(k =>
-        k.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&')
-      );
-      const regex = new RegExp(escapedKeywords.join('|'), 'g');
-      cleanedText = cleanedText.replace(regex, '');
-    }
-  }
-
-  // 阶段 3: 字符移除
-  if (options.remove_emoji) {
-    // 移除 Emoji 表情符号
-    cleanedText = cleanedText.replace(/\p{Emoji_Presentation}/gu, '');
-  }
-
-  // 阶段 4: 上下文感知格式清理
-  if (options.remove_citation_numbers) {
-    // 移除引用数字（如文末的 [1], [2] 等）
-    cleanedText = cleanedText.replace(/\s\d{1,2}(?=[.。，,;；:：]|$)/g, '');
-  }
-
-  // 阶段 5: 通用格式清理
-  if (options.remove_line_breaks) {
-    // 移除所有多余的空白字符
-    cleanedText = cleanedText.replace(/\s+/g, ' ');
-  }
-
-  // 阶段 6: 最终清理
-  return cleanedText.trim();
+function roundSeconds(seconds) {
+  return Math.round(seconds * 1000) / 1000;
 }
 
 /**
- * 生成错误响应
- * @param {string} message - 错误消息
- * @param {number} status - HTTP 状态码
- * @param {string} code - 错误代码
- * @param {string} type - 错误类型
- * @returns {Response} 错误响应对象
+ * 格式化 X-Audio-Duration 响应头（秒，保留三位小数）
+ * @param {number} seconds - 秒数
+ * @returns {string} 响应头取值
  */
-function errorResponse(message, status, code, type = "api_error") {
-  return new Response(
-    JSON.stringify({
-      error: { message, type, param: null, code }
-    }),
-    {
-      status,
-      headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
-    }
-  );
+function formatDuration(seconds) {
+  return seconds.toFixed(3);
 }
 
 /**
@@ -0,0 +1,166 @@
+/**
+ * EdgeOne Pages Edge Function for /api/v1/health
+ * 健康检查：验证上游 Token 获取，?synthesize=true 时额外合成一小段示例音频
+ */
+
+import { getEndpoint, getTokenExpiry } from "../../../lib/endpoint.js";
+import { authenticate, consumeRequest } from "../../../lib/auth.js";
+import { getRetryPolicy } from "../../../lib/retry.js";
+import { resolveProviders } from "../../../lib/providers.js";
+import { prepareSpeech, synthesizeChunks } from "../../../lib/synthesis.js";
+import { createTrace, measure, applyTraceHeaders, logRequest } from "../../../lib/tracing.js";
+import { errorResponse, authErrorResponse, attachRequestId, applyCORSHeaders } from "../../../lib/errors.js";
+
+// 示例合成的文本，尽量短以减少上游用量
+const HEALTH_SAMPLE_TEXT = "你好";
+
+/**
+ * 生成 CORS 头
+ * @returns {Object} CORS 头对象
+ */
+function makeCORSHeaders() {
+  return {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization, X-Request-Id",
+    "Access-Control-Max-Age": "86400"
+  };
+}
+
+/**
+ * 处理 CORS 预检请求
+ * @returns {Response} CORS 响应
+ */
+function handleOptions() {
+  return new Response(null, {
+    status: 200,
+    headers: makeCORSHeaders()
+  });
+}
+
+/**
+ * 生成 JSON 响应
+ * @param {Object} body - 响应体
+ * @param {number} status - HTTP 状态码
+ * @returns {Response} JSON 响应
+ */
+function jsonResponse(body, status) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json", "Cache-Control": "no-store", ...makeCORSHeaders() }
+  });
+}
+
+/**
+ * 处理 /api/v1/health 请求，错误响应同样带上完整的 CORS 头
+ * @param {Object} context - EdgeOne Pages 上下文对象
+ * @returns {Promise<Response>} HTTP 响应
+ */
+export default async function onRequest(context) {
+  return applyCORSHeaders(await handleRequest(context), makeCORSHeaders());
+}
+
+/**
+ * 按请求方法与参数生成 /api/v1/health 的响应
+ * @param {Object} context - EdgeOne Pages 上下文对象
+ * @returns {Promise<Response>} HTTP 响应
+ */
+async function handleRequest(context) {
+  const request = context.request;
+  const env = context.env;
+
+  // 处理 CORS 预检请求
+  if (request.method === "OPTIONS") return handleOptions(request);
+
+  const trace = createTrace(request, env);
+  const finish = async response => {
+    const { response: traced, error } = await attachRequestId(response, trace.id);
+    logRequest(trace, { status: traced.status, ...(error ? { error: error.message, code: error.code } : {}) });
+    return applyTraceHeaders(traced, trace);
+  };
+
+  if (request.method !== "GET") {
+    return finish(errorResponse("不允许的方法", 405, "method_not_allowed"));
+  }
+
+  const { searchParams } = new URL(request.url);
+  const synthesize = ["true", "1"].includes(searchParams.get("synthesize"));
+
+  // 示例合成会请求上游，需要有效的 API 密钥并计入请求频率
+  if (synthesize) {
+    try {
+      consumeRequest(await authenticate(request, env));
+    } catch (err) {
+      return finish(authErrorResponse(err));
+    }
+  }
+
+  const upstream = resolveProviders(env);
+  const providers = upstream.providers.map(provider => provider.name);
+  const checks = {
+    token: providers.includes("translator") ? await checkToken(trace) : { status: "skipped" }
+  };
+  if (synthesize) {
+    checks.synthesis = await checkSynthesis(searchParams.get("voice"), upstream, env, trace);
+  }
+
+  const statuses = Object.values(checks).map(check => check.status);
+  const status = statuses.includes("error") ? "error" : statuses.includes("degraded") ? "degraded" : "ok";
+  return finish(jsonResponse({ status, providers, checks, request_id: trace.id }, status === "error" ? 503 : 200));
+}
+
+/**
+ * 检查能否获取 Token
+ *
+ * 端点获取失败但仍有过期的缓存 Token 时，getEndpoint 会返回旧 Token，此时报告为 degraded。
+ *
+ * @param {Object} trace - 请求追踪记录
+ * @returns {Promise<Object>} 检查结果 { status, latency_ms, region, expires_in }
+ */
+async function checkToken(trace) {
+  const startedAt = Date.now();
+  try {
+    const endpoint = await measure(trace, "token", getEndpoint);
+    const expiresIn = Math.round(getTokenExpiry() - Date.now() / 1000);
+    return {
+      status: expiresIn > 0 ? "ok" : "degraded",
+      latency_ms: Date.now() - startedAt,
+      region: endpoint.r,
+      expires_in: expiresIn
+    };
+  } catch (err) {
+    return { status: "error", latency_ms: Date.now() - startedAt, error: err.message };
+  }
+}
+
+/**
+ * 不经缓存、不重试地合成一小段示例音频
+ * @param {string|null} voice - 音色，未提供时使用默认音色
+ * @param {Object} upstream - resolveProviders 返回的上游服务
+ * @param {Object} env - 环境变量
+ * @param {Object} trace - 请求追踪记录
+ * @returns {Promise<Object>} 检查结果 { status, latency_ms, voice, bytes }
+ */
+async function checkSynthesis(voice, upstream, env, trace) {
+  const startedAt = Date.now();
+  try {
+    const plan = prepareSpeech({ input: HEALTH_SAMPLE_TEXT, voice: voice || undefined }, env);
+    const synthOptions = {
+      concurrency: 1,
+      retryPolicy: { ...getRetryPolicy(env), maxRetries: 0 },
+      cache: null,
+      cacheStats: { hits: 0, misses: 0 },
+      upstream,
+      trace
+    };
+    const audioChunks = await measure(trace, "synthesis", () => synthesizeChunks(plan.textChunks, synthOptions, ...plan.ttsArgs));
+    return {
+      status: "ok",
+      latency_ms: Date.now() - startedAt,
+      voice: plan.voices[0],
+      bytes: audioChunks.reduce((sum, bytes) => sum + bytes.length, 0)
+    };
+  } catch (err) {
+    return { status: "error", latency_ms: Date.now() - startedAt, error: err.message };
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * EdgeOne Pages Edge Function for /api/v1/usage
+ * 返回各 API 密钥的请求数与字符用量；普通密钥只能查看自己的用量
+ */
+
+import { errorResponse, authErrorResponse, internalErrorResponse, applyCORSHeaders } from "../../../lib/errors.js";
+import { authenticate, getUsageReport } from "../../../lib/auth.js";
+
+/**
+ * 生成 CORS 头
+ * @returns {Object} CORS 头对象
+ */
+function makeCORSHeaders() {
+  return {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Max-Age": "86400"
+  };
+}
+
+/**
+ * 处理 CORS 预检请求
+ * @returns {Response} CORS 响应
+ */
+function handleOptions() {
+  return new Response(null, {
+    status: 200,
+    headers: makeCORSHeaders()
+  });
+}
+
+/**
+ * 处理 /api/v1/usage 请求，错误响应同样带上完整的 CORS 头
+ * @param {Object} context - EdgeOne Pages 上下文对象
+ * @returns {Promise<Response>} HTTP 响应
+ */
+export default async function onRequest(context) {
+  return applyCORSHeaders(await handleRequest(context), makeCORSHeaders());
+}
+
+/**
+ * 按请求方法与参数生成 /api/v1/usage 的响应
+ * @param {Object} context - EdgeOne Pages 上下文对象
+ * @returns {Promise<Response>} HTTP 响应
+ */
+async function handleRequest(context) {
+  const request = context.request;
+
+  // 处理 CORS 预检请求
+  if (request.method === "OPTIONS") return handleOptions(request);
+
+  if (request.method !== "GET") {
+    return errorResponse("不允许的方法", 405, "method_not_allowed");
+  }
+
+  // API 密钥验证
+  let apiKey;
+  try {
+    apiKey = await authenticate(request, context.env);
+  } catch (err) {
+    return authErrorResponse(err);
+  }
+
+  try {
+    const data = getUsageReport(apiKey, context.env);
+    return new Response(JSON.stringify({ object: "list", data }), {
+      headers: {
+        "Content-Type": "application/json",
+        "Cache-Control": "no-store",
+        ...makeCORSHeaders()
+      }
+    });
+  } catch (err) {
+    return internalErrorResponse(err, `用量查询错误: ${err.message}`, context.env);
+  }
+}
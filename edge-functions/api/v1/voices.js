@@ -0,0 +1,87 @@
+/**
+ * EdgeOne Pages Edge Function for /api/v1/voices
+ * 处理音色目录请求，支持 ?locale=&gender=&style= 过滤
+ */
+
+import { getVoiceCatalog, filterVoices } from "../../../lib/voices.js";
+import { errorResponse, authErrorResponse, internalErrorResponse, applyCORSHeaders } from "../../../lib/errors.js";
+import { authenticate } from "../../../lib/auth.js";
+
+/**
+ * 生成 CORS 头
+ * @returns {Object} CORS 头对象
+ */
+function makeCORSHeaders() {
+  return {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type, Authorization",
+    "Access-Control-Max-Age": "86400"
+  };
+}
+
+/**
+ * 处理 CORS 预检请求
+ * @returns {Response} CORS 响应
+ */
+function handleOptions() {
+  return new Response(null, {
+    status: 200,
+    headers: makeCORSHeaders()
+  });
+}
+
+/**
+ * 处理 /api/v1/voices 请求，错误响应同样带上完整的 CORS 头
+ * @param {Object} context - EdgeOne Pages 上下文对象
+ * @returns {Promise<Response>} HTTP 响应
+ */
+export default async function onRequest(context) {
+  return applyCORSHeaders(await handleRequest(context), makeCORSHeaders());
+}
+
+/**
+ * 按请求方法与参数生成 /api/v1/voices 的响应
+ * @param {Object} context - EdgeOne Pages 上下文对象
+ * @returns {Promise<Response>} HTTP 响应
+ */
+async function handleRequest(context) {
+  const request = context.request;
+
+  // 处理 CORS 预检请求
+  if (request.method === "OPTIONS") return handleOptions(request);
+
+  if (request.method !== "GET") {
+    return errorResponse("不允许的方法", 405, "method_not_allowed");
+  }
+
+  // API 密钥验证
+  let apiKey;
+  try {
+    apiKey = await authenticate(request, context.env);
+  } catch (err) {
+    return authErrorResponse(err);
+  }
+
+  try {
+    const { searchParams } = new URL(request.url);
+    const { voices, source } = await getVoiceCatalog(context.env);
+    const data = filterVoices(voices, {
+      locale: searchParams.get("locale"),
+      gender: searchParams.get("gender"),
+      style: searchParams.get("style")
+    });
+
+    // 启用认证时响应只能由客户端缓存，避免共享缓存把它返回给未携带密钥的请求
+    return new Response(JSON.stringify({ object: "list", source, data }), {
+      headers: {
+        "Content-Type": "application/json",
+        "Cache-Control": apiKey ? "private, max-age=3600" : "public, max-age=3600",
+        ...(apiKey ? { "Vary": "Authorization" } : {}),
+        ...makeCORSHeaders()
+      }
+    });
+  } catch (err) {
+    return internalErrorResponse(err, `音色列表请求错误: ${err.message}`, context.env);
+  }
+}
@@ -0,0 +1,654 @@
+/**
+ * 音频格式与封装工具
+ *
+ * @description 将 OpenAI 的 response_format 映射为 Microsoft 的 X-Microsoft-OutputFormat，
+ * 并负责把多个分块的上游音频拼接为单个合法的音频文件。
+ * 容器格式（WAV / FLAC）统一向上游请求裸 PCM，由本模块只写入一次文件头；
+ * MP3 分块会去除各自的 ID3 / Xing / VBRI 元数据帧，可为整个文件写入一个 Info 帧。
+ */
+
+// =================================================================================
+// 格式配置
+// =================================================================================
+
+// 裸 PCM 支持的采样率 -> Microsoft 格式名
+const PCM_FORMATS = {
+  8000: "raw-8khz-16bit-mono-pcm",
+  16000: "raw-16khz-16bit-mono-pcm",
+  22050: "raw-22050hz-16bit-mono-pcm",
+  24000: "raw-24khz-16bit-mono-pcm",
+  44100: "raw-44100hz-16bit-mono-pcm",
+  48000: "raw-48khz-16bit-mono-pcm"
+};
+
+// OpenAI response_format -> 可选采样率/码率及对应的 Microsoft 格式
+const AUDIO_FORMATS = {
+  mp3: {
+    contentType: "audio/mpeg",
+    extension: "mp3",
+    defaultSampleRate: 24000,
+    defaultBitrate: 48,
+    variants: {
+      16000: { 32: "audio-16khz-32kbitrate-mono-mp3", 64: "audio-16khz-64kbitrate-mono-mp3", 128: "audio-16khz-128kbitrate-mono-mp3" },
+      24000: { 48: "audio-24khz-48kbitrate-mono-mp3", 96: "audio-24khz-96kbitrate-mono-mp3", 160: "audio-24khz-160kbitrate-mono-mp3" },
+      48000: { 96: "audio-48khz-96kbitrate-mono-mp3", 192: "audio-48khz-192kbitrate-mono-mp3" }
+    }
+  },
+  opus: {
+    contentType: "audio/ogg",
+    extension: "opus",
+    defaultSampleRate: 24000,
+    variants: {
+      16000: "ogg-16khz-16bit-mono-opus",
+      24000: "ogg-24khz-16bit-mono-opus",
+      48000: "ogg-48khz-16bit-mono-opus"
+    }
+  },
+  wav: { contentType: "audio/wav", extension: "wav", defaultSampleRate: 24000, variants: PCM_FORMATS },
+  flac: { contentType: "audio/flac", extension: "flac", defaultSampleRate: 24000, variants: PCM_FORMATS },
+  pcm: { contentType: "audio/pcm", extension: "pcm", defaultSampleRate: 24000, variants: PCM_FORMATS }
+};
+
+// Microsoft 没有提供 AAC 输出，纯 JS 也无法在边缘函数中完成 AAC 编码
+const UNSUPPORTED_FORMATS = { aac: "微软 TTS 不提供 AAC 输出，请改用 mp3 或 opus" };
+
+const DEFAULT_RESPONSE_FORMAT = "mp3";
+
+/**
+ * 解析 OpenAI response_format 及可选的采样率/码率
+ * @param {string} responseFormat - OpenAI 格式名 (mp3, opus, aac, flac, wav, pcm)
+ * @param {number} [sampleRate] - 采样率 (Hz)
+ * @param {number} [bitrate] - 码率 (kbps)，仅 mp3 生效
+ * @returns {Object} 格式描述 { name, upstream, contentType, extension, sampleRate, bitrate }
+ * @throws {Error} 格式或参数不受支持时抛出，error.param 指明出错的参数
+ */
+export function resolveAudioFormat(responseFormat = DEFAULT_RESPONSE_FORMAT, sampleRate, bitrate) {
+  const name = String(responseFormat).toLowerCase();
+
+  if (UNSUPPORTED_FORMATS[name]) {
+    throw paramError(`不支持的 response_format '${name}': ${UNSUPPORTED_FORMATS[name]}`, "response_format");
+  }
+
+  const spec = AUDIO_FORMATS[name];
+  if (!spec) {
+    throw paramError(`无效的 response_format '${responseFormat}'，可选值: ${Object.keys(AUDIO_FORMATS).join(", ")}`, "response_format");
+  }
+
+  const rate = sampleRate ? Number(sampleRate) : spec.defaultSampleRate;
+  const variant = spec.variants[rate];
+  if (!variant) {
+    throw paramError(`${name} 不支持采样率 ${sampleRate}，可选值: ${Object.keys(spec.variants).join(", ")}`, "sample_rate");
+  }
+
+  let upstream = variant;
+  let kbps = null;
+  if (typeof variant === "object") {
+    // mp3：采样率下再按码率选择，未指定时取该采样率的最低码率
+    const bitrates = Object.keys(variant);
+    kbps = bitrate ? Number(bitrate) : (rate === spec.defaultSampleRate ? spec.defaultBitrate : Number(bitrates[0]));
+    upstream = variant[kbps];
+    if (!upstream) {
+      throw paramError(`${name} 在 ${rate}Hz 下不支持码率 ${bitrate}，可选值: ${bitrates.join(", ")}`, "bitrate");
+    }
+  }
+
+  return {
+    name,
+    upstream,
+    contentType: spec.contentType,
+    extension: spec.extension,
+    sampleRate: rate,
+    bitrate: kbps
+  };
+}
+
+// =================================================================================
+// 音频封装
+// =================================================================================
+
+/**
+ * 创建音频封装器，把多个分块的上游音频拼接为单个合法文件
+ *
+ * - mp3：去除每个分块的 ID3 标签与 Xing / Info / VBRI 元数据帧，只保留音频帧
+ * - opus / pcm：上游数据原样透传（Ogg 多段拼接为合法的链式流）
+ * - wav：只写入一次 RIFF 头，流式时长度字段填 0xFFFFFFFF
+ * - flac：将 PCM 编码为 FLAC 原样 (verbatim) 帧，跨分块保持帧序号连续
+ *
+ * @param {Object} format - resolveAudioFormat 返回的格式描述
+ * @param {number} [dataLength] - 上游音频数据总字节数，非流式时传入以写出准确的文件头
+ * @returns {{start: function(): Uint8Array[], write: function(Uint8Array): Uint8Array[], end: function(): Uint8Array[]}} 封装器
+ */
+export function createAudioEncoder(format, dataLength) {
+  switch (format.name) {
+    case "wav":
+      return {
+        start: () => [wavHeader(format.sampleRate, dataLength)],
+        write: bytes => [bytes],
+        end: () => []
+      };
+    case "flac":
+      return createFlacEncoder(format.sampleRate, dataLength);
+    case "mp3":
+      return {
+        start: () => [],
+        write: bytes => [stripMp3Metadata(bytes)],
+        end: () => []
+      };
+    default:
+      return {
+        start: () => [],
+        write: bytes => [bytes],
+        end: () => []
+      };
+  }
+}
+
+/**
+ * 生成 44 字节的 WAV (RIFF) 文件头
+ * @param {number} sampleRate - 采样率
+ * @param {number} [dataLength] - PCM 数据字节数，未知时写入最大值
+ * @returns {Uint8Array} 文件头
+ */
+function wavHeader(sampleRate, dataLength) {
+  const unknown = dataLength === undefined;
+  const header = new Uint8Array(44);
+  const view = new DataView(header.buffer);
+
+  writeAscii(header, 0, "RIFF");
+  view.setUint32(4, unknown ? 0xFFFFFFFF : 36 + dataLength, true);
+  writeAscii(header, 8, "WAVE");
+  writeAscii(header, 12, "fmt ");
+  view.setUint32(16, 16, true);             // fmt 块长度
+  view.setUint16(20, 1, true);              // PCM
+  view.setUint16(22, 1, true);              // 单声道
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true); // 字节率
+  view.setUint16(32, 2, true);              // 块对齐
+  view.setUint16(34, 16, true);             // 位深
+  writeAscii(header, 36, "data");
+  view.setUint32(40, unknown ? 0xFFFFFFFF : dataLength, true);
+
+  return header;
+}
+
+// FLAC 固定块大小及帧头中的采样率编码
+const FLAC_BLOCK_SIZE = 4096;
+const FLAC_SAMPLE_RATE_CODES = { 8000: 0x4, 16000: 0x5, 22050: 0x6, 24000: 0x7, 44100: 0x9, 48000: 0xA };
+
+/**
+ * 创建 FLAC 封装器（16bit 单声道，verbatim 子帧，不压缩但完全合法）
+ * @param {number} sampleRate - 采样率
+ * @param {number} [dataLength] - PCM 数据字节数，用于写入总采样数
+ * @returns {Object} 封装器
+ */
+function createFlacEncoder(sampleRate, dataLength) {
+  let pending = new Uint8Array(0);
+  let frameNumber = 0;
+
+  const flush = (final) => {
+    const frames = [];
+    const frameBytes = FLAC_BLOCK_SIZE * 2;
+    let offset = 0;
+    while (pending.length - offset >= frameBytes || (final && pending.length - offset >= 2)) {
+      const size = Math.min(frameBytes, pending.length - offset) & ~1;
+      frames.push(flacFrame(pending.subarray(offset, offset + size), frameNumber++, sampleRate));
+      offset += size;
+    }
+    pending = pending.slice(offset);
+    return frames;
+  };
+
+  return {
+    start: () => [flacStreamInfo(sampleRate, dataLength === undefined ? 0 : Math.floor(dataLength / 2))],
+    write: (bytes) => {
+      pending = concatBytes([pending, bytes]);
+      return flush(false);
+    },
+    end: () => flush(true)
+  };
+}
+
+/**
+ * 生成 FLAC 标记与 STREAMINFO 元数据块
+ * @param {number} sampleRate - 采样率
+ * @param {number} totalSamples - 总采样数，0 表示未知
+ * @returns {Uint8Array} 文件头
+ */
+function flacStreamInfo(sampleRate, totalSamples) {
+  const out = new Uint8Array(42);
+  writeAscii(out, 0, "fLaC");
+  out[4] = 0x80;                 // 最后一个元数据块，类型 0 (STREAMINFO)
+  out[7] = 34;                   // 块长度
+
+  const info = out.subarray(8);
+  info[0] = FLAC_BLOCK_SIZE >> 8; // 最小块大小
+  info[2] = FLAC_BLOCK_SIZE >> 8; // 最大块大小
+  // 最小/最大帧大小 (字节 4-9) 置 0 表示未知
+  const high = Math.floor(totalSamples / 0x100000000) & 0xF;
+  info[10] = (sampleRate >> 12) & 0xFF;
+  info[11] = (sampleRate >> 4) & 0xFF;
+  info[12] = ((sampleRate & 0xF) << 4) | (0 << 1) | (15 >> 4); // 1 声道, 16 bit
+  info[13] = ((15 & 0xF) << 4) | high;
+  new DataView(info.buffer, info.byteOffset).setUint32(14, totalSamples >>> 0);
+  // MD5 (字节 18-33) 置 0 表示未计算
+
+  return out;
+}
+
+/**
+ * 将一段 16bit 小端 PCM 编码为一个 FLAC 帧
+ * @param {Uint8Array} pcm - PCM 数据
+ * @param {number} frameNumber - 帧序号
+ * @param {number} sampleRate - 采样率
+ * @returns {Uint8Array} FLAC 帧
+ */
+function flacFrame(pcm, frameNumber, sampleRate) {
+  const samples = pcm.length / 2;
+  const header = [0xFF, 0xF8];
+  const blockCode = samples === FLAC_BLOCK_SIZE ? 0xC : 0x7;
+  header.push((blockCode << 4) | FLAC_SAMPLE_RATE_CODES[sampleRate]);
+  header.push((0x0 << 4) | (0x4 << 1)); // 单声道, 16 bit
+  header.push(...utf8CodedNumber(frameNumber));
+  if (blockCode === 0x7) header.push((samples - 1) >> 8, (samples - 1) & 0xFF);
+  header.push(crc8(header));
+
+  const frame = new Uint8Array(header.length + 1 + pcm.length + 2);
+  frame.set(header, 0);
+  let pos = header.length;
+  frame[pos++] = 0x02; // verbatim 子帧
+  for (let i = 0; i < pcm.length; i += 2) {
+    // 小端 -> 大端
+    frame[pos++] = pcm[i + 1];
+    frame[pos++] = pcm[i];
+  }
+  const crc = crc16(frame.subarray(0, pos));
+  frame[pos++] = crc >> 8;
+  frame[pos] = crc & 0xFF;
+
+  return frame;
+}
+
+/**
+ * FLAC 帧头使用的类 UTF-8 变长整数编码
+ * @param {number} value - 非负整数
+ * @returns {number[]} 编码后的字节
+ */
+function utf8CodedNumber(value) {
+  if (value < 0x80) return [value];
+  const bytes = [];
+  let limit = 0x3F;
+  while (value > limit) {
+    bytes.unshift(0x80 | (value & 0x3F));
+    value = Math.floor(value / 64);
+    limit >>= 1;
+  }
+  const prefix = (0xFF << (7 - bytes.length)) & 0xFF;
+  bytes.unshift(prefix | value);
+  return bytes;
+}
+
+/**
+ * CRC-8 (多项式 0x07)
+ * @param {number[]|Uint8Array} bytes - 数据
+ * @returns {number} 校验值
+ */
+function crc8(bytes) {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x80 ? ((crc << 1) ^ 0x07) & 0xFF : (crc << 1) & 0xFF;
+    }
+  }
+  return crc;
+}
+
+/**
+ * CRC-16 (多项式 0x8005)
+ * @param {Uint8Array} bytes - 数据
+ * @returns {number} 校验值
+ */
+function crc16(bytes) {
+  let crc = 0;
+  for (const byte of bytes) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? ((crc << 1) ^ 0x8005) & 0xFFFF : (crc << 1) & 0xFFFF;
+    }
+  }
+  return crc;
+}
+
+// =================================================================================
+// 静音生成
+// =================================================================================
+
+/**
+ * 生成与上游音频格式一致的静音数据，用于在分块之间插入停顿
+ *
+ * - wav / flac / pcm：16bit 全零采样
+ * - mp3：复制参考音频第一帧的帧头（去掉填充位与 CRC），帧体全零即为静音帧，时长按帧取整
+ * - opus：不支持（Ogg 页需要独立的编码器），返回空数据
+ *
+ * @param {Object} format - resolveAudioFormat 返回的格式描述
+ * @param {number} seconds - 静音时长（秒）
+ * @param {Uint8Array} [reference] - 同一格式的一段上游音频，mp3 需要从中读取帧头
+ * @returns {Uint8Array} 静音数据（与上游音频相同的编码，可直接拼接）
+ */
+export function createSilence(format, seconds, reference) {
+  if (seconds <= 0) return new Uint8Array(0);
+
+  switch (format.name) {
+    case "mp3": {
+      const frame = reference ? iterateMp3AudioFrames(reference).next().value : null;
+      if (!frame) return new Uint8Array(0);
+
+      const empty = emptyMp3Frame(reference, frame);
+      const frameCount = Math.round(seconds * frame.sampleRate / frame.samples);
+      const out = new Uint8Array(empty.length * frameCount);
+      for (let i = 0; i < frameCount; i++) out.set(empty, i * empty.length);
+      return out;
+    }
+    case "opus":
+      return new Uint8Array(0);
+    default:
+      return new Uint8Array(Math.round(seconds * format.sampleRate) * 2);
+  }
+}
+
+// =================================================================================
+// MP3 元数据
+// =================================================================================
+
+/**
+ * 去除一段 MP3 数据中的 ID3 标签与 Xing / Info / VBRI 元数据帧，只保留音频帧
+ * @param {Uint8Array} bytes - 单个分块的上游 MP3 数据
+ * @returns {Uint8Array} 仅包含音频帧的数据（没有可去除的内容时原样返回）
+ */
+export function stripMp3Metadata(bytes) {
+  const frames = [...iterateMp3AudioFrames(bytes)];
+  let expected = 0;
+  const contiguous = frames.every(frame => {
+    const ok = frame.offset === expected;
+    expected = frame.offset + frame.size;
+    return ok;
+  });
+  if (contiguous && expected === bytes.length) return bytes;
+
+  return concatBytes(frames.map(frame => bytes.subarray(frame.offset, frame.offset + frame.size)));
+}
+
+/**
+ * 为拼接后的 MP3 生成一个 Info（CBR 的 Xing）帧，记录总帧数、总字节数与用于定位的 TOC
+ *
+ * Info 帧本身是一个静音帧，不支持 Xing 的播放器会将其作为 1 帧静音播放。
+ *
+ * @param {Uint8Array[]} parts - 已去除元数据的 MP3 数据，按播放顺序排列
+ * @returns {Uint8Array} Info 帧，没有音频帧时返回空数据
+ */
+export function createMp3InfoFrame(parts) {
+  let first = null;
+  let frameCount = 0;
+  let audioBytes = 0;
+  const frameOffsets = [];
+
+  for (const bytes of parts) {
+    for (const frame of iterateMp3AudioFrames(bytes)) {
+      if (!first) first = { bytes, frame };
+      frameOffsets.push(audioBytes);
+      audioBytes += frame.size;
+      frameCount++;
+    }
+  }
+  if (!first) return new Uint8Array(0);
+
+  const info = emptyMp3Frame(first.bytes, first.frame);
+  const totalBytes = info.length + audioBytes;
+  const view = new DataView(info.buffer);
+  const tagOffset = 4 + first.frame.sideInfoSize;
+  // Info 标签（含 100 字节 TOC）需要 116 字节，帧太小时不写入
+  if (info.length < tagOffset + 116) return new Uint8Array(0);
+
+  writeAscii(info, tagOffset, "Info");
+  view.setUint32(tagOffset + 4, 0x7);            // 标志: 帧数 | 字节数 | TOC
+  view.setUint32(tagOffset + 8, frameCount);     // 不含 Info 帧本身
+  view.setUint32(tagOffset + 12, totalBytes);
+  // TOC: 播放进度每 1% 对应的音频数据位置（以音频数据大小的 1/256 为单位）
+  for (let i = 0; i < 100; i++) {
+    const position = frameOffsets[Math.floor(i * frameCount / 100)];
+    info[tagOffset + 16 + i] = Math.min(255, Math.floor(position * 256 / audioBytes));
+  }
+
+  return info;
+}
+
+/**
+ * 复制某一帧的帧头生成空帧（无 CRC、无填充、帧体全零），解码结果为静音
+ * @param {Uint8Array} bytes - MP3 数据
+ * @param {Object} frame - iterateMp3Frames 返回的帧信息
+ * @returns {Uint8Array} 空帧
+ */
+function emptyMp3Frame(bytes, frame) {
+  const padding = (bytes[frame.offset + 2] >> 1) & 0x1;
+  const out = new Uint8Array(frame.size - padding);
+  out.set(bytes.subarray(frame.offset, frame.offset + 4));
+  out[1] |= 0x01;  // 无 CRC
+  out[2] &= ~0x02; // 无填充
+  return out;
+}
+
+/**
+ * 判断一帧是否为 Xing / Info / VBRI 元数据帧
+ * @param {Uint8Array} bytes - MP3 数据
+ * @param {Object} frame - iterateMp3Frames 返回的帧信息
+ * @returns {boolean} 是否为元数据帧
+ */
+function isMp3MetadataFrame(bytes, frame) {
+  const crcSize = bytes[frame.offset + 1] & 0x01 ? 0 : 2;
+  const xingOffset = frame.offset + 4 + crcSize + frame.sideInfoSize;
+  const tag = readAscii(bytes, xingOffset, 4);
+  // VBRI 固定位于帧头之后 32 字节处
+  return tag === "Xing" || tag === "Info" || readAscii(bytes, frame.offset + 36, 4) === "VBRI";
+}
+
+// =================================================================================
+// 时长计算
+// =================================================================================
+
+// MPEG Layer III 码率表 (kbps) 与采样率表，下标即帧头中的取值
+export const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+export const MP3_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000]
+};
+
+/**
+ * 计算一段上游音频的解码时长
+ * @param {Uint8Array} bytes - 单个分块的上游音频数据
+ * @param {Object} format - resolveAudioFormat 返回的格式描述
+ * @returns {number} 时长（秒）
+ */
+export function getAudioDuration(bytes, format) {
+  switch (format.name) {
+    case "mp3": {
+      let samples = 0;
+      let sampleRate = format.sampleRate;
+      for (const frame of iterateMp3AudioFrames(bytes)) {
+        samples += frame.samples;
+        sampleRate = frame.sampleRate;
+      }
+      return samples / sampleRate;
+    }
+    case "opus":
+      return getOggOpusDuration(bytes);
+    default:
+      // wav / flac / pcm 的上游数据均为 16bit 单声道 PCM
+      return bytes.length / 2 / format.sampleRate;
+  }
+}
+
+/**
+ * 逐帧遍历 MP3 数据（跳过开头的 ID3v2 标签）
+ * @param {Uint8Array} bytes - MP3 数据
+ * @yields {{offset: number, size: number, samples: number, sampleRate: number, sideInfoSize: number}} 帧信息
+ */
+export function* iterateMp3Frames(bytes) {
+  let offset = 0;
+
+  // ID3v2 标签: "ID3" + 版本(2) + 标志(1) + syncsafe 长度(4)
+  if (bytes.length >= 10 && bytes[0] === 0x49 && bytes[1] === 0x44 && bytes[2] === 0x33) {
+    offset = 10 + ((bytes[6] & 0x7F) << 21 | (bytes[7] & 0x7F) << 14 | (bytes[8] & 0x7F) << 7 | (bytes[9] & 0x7F));
+  }
+
+  while (offset + 4 <= bytes.length) {
+    const frame = parseMp3FrameHeader(bytes, offset);
+    if (!frame) {
+      // 非帧数据，逐字节寻找下一个同步字
+      offset++;
+      continue;
+    }
+    if (offset + frame.size > bytes.length) return;
+    yield { offset, ...frame };
+    offset += frame.size;
+  }
+}
+
+/**
+ * 逐帧遍历 MP3 音频帧，跳过 Xing / Info / VBRI 元数据帧
+ * @param {Uint8Array} bytes - MP3 数据
+ * @yields {{offset: number, size: number, samples: number, sampleRate: number, sideInfoSize: number}} 帧信息
+ */
+export function* iterateMp3AudioFrames(bytes) {
+  for (const frame of iterateMp3Frames(bytes)) {
+    if (!isMp3MetadataFrame(bytes, frame)) yield frame;
+  }
+}
+
+/**
+ * 解析 MP3 帧头
+ * @param {Uint8Array} bytes - MP3 数据
+ * @param {number} offset - 帧起始偏移
+ * @returns {{size: number, samples: number, sampleRate: number, sideInfoSize: number}|null} 帧信息，非法帧头返回 null
+ */
+function parseMp3FrameHeader(bytes, offset) {
+  if (bytes[offset] !== 0xFF || (bytes[offset + 1] & 0xE0) !== 0xE0) return null;
+
+  const versionBits = (bytes[offset + 1] >> 3) & 0x3;
+  const layerBits = (bytes[offset + 1] >> 1) & 0x3;
+  const bitrateIndex = bytes[offset + 2] >> 4;
+  const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x3;
+  const padding = (bytes[offset + 2] >> 1) & 0x1;
+
+  // 仅支持 Layer III
+  if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+    return null;
+  }
+
+  const version = versionBits === 3 ? 1 : versionBits === 2 ? 2 : 2.5;
+  const bitrate = MP3_BITRATES[version === 1 ? 1 : 2][bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][sampleRateIndex];
+  const samples = version === 1 ? 1152 : 576;
+  const size = Math.floor((samples / 8) * bitrate / sampleRate) + padding;
+  // 边信息长度取决于版本与声道模式（3 为单声道）
+  const mono = (bytes[offset + 3] >> 6) === 3;
+  const sideInfoSize = version === 1 ? (mono ? 17 : 32) : (mono ? 9 : 17);
+
+  return { size, samples, sampleRate, sideInfoSize };
+}
+
+/**
+ * 根据 Ogg 页的 granule position 计算 Opus 时长
+ * @param {Uint8Array} bytes - Ogg Opus 数据
+ * @returns {number} 时长（秒）
+ */
+function getOggOpusDuration(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let preSkip = 0;
+  let granule = 0;
+  let offset = 0;
+
+  while (offset + 27 <= bytes.length) {
+    // "OggS" 页头
+    if (view.getUint32(offset) !== 0x4F676753) {
+      offset++;
+      continue;
+    }
+    const segments = bytes[offset + 26];
+    let bodySize = 0;
+    for (let i = 0; i < segments; i++) bodySize += bytes[offset + 27 + i];
+    const bodyOffset = offset + 27 + segments;
+
+    // OpusHead: 魔数(8) + 版本(1) + 声道(1) + pre-skip(2)
+    if (bytes[offset + 5] & 0x02 && bodyOffset + 12 <= bytes.length) {
+      preSkip = view.getUint16(bodyOffset + 10, true);
+    }
+    const position = view.getUint32(offset + 6, true) + view.getUint32(offset + 10, true) * 0x100000000;
+    // granule 为 -1 表示该页没有完整的包
+    if (view.getInt32(offset + 10, true) !== -1) granule = position;
+
+    offset = bodyOffset + bodySize;
+  }
+
+  // Opus 的 granule 始终以 48kHz 计
+  return Math.max(0, granule - preSkip) / 48000;
+}
+
+// =================================================================================
+// 通用工具函数
+// =================================================================================
+
+/**
+ * 拼接多个字节数组
+ * @param {Uint8Array[]} parts - 字节数组列表
+ * @returns {Uint8Array} 拼接结果
+ */
+export function concatBytes(parts) {
+  const total = parts.reduce((sum, part) => sum + part.length, 0);
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+/**
+ * 读取 ASCII 字符串
+ * @param {Uint8Array} source - 源数组
+ * @param {number} offset - 偏移
+ * @param {number} length - 长度
+ * @returns {string} 读取的文本，越界时返回空字符串
+ */
+function readAscii(source, offset, length) {
+  if (offset + length > source.length) return "";
+  return String.fromCharCode(...source.subarray(offset, offset + length));
+}
+
+/**
+ * 写入 ASCII 字符串
+ * @param {Uint8Array} target - 目标数组
+ * @param {number} offset - 偏移
+ * @param {string} text - ASCII 文本
+ */
+export function writeAscii(target, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    target[offset + i] = text.charCodeAt(i);
+  }
+}
+
+/**
+ * 生成带参数名的校验错误
+ * @param {string} message - 错误消息
+ * @param {string} param - 出错的请求参数
+ * @returns {Error} 错误对象
+ */
+function paramError(message, param) {
+  const error = new Error(message);
+  error.param = param;
+  return error;
+}
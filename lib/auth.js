@@ -0,0 +1,362 @@
+/**
+ * API 密钥认证与用量统计
+ *
+ * @description 支持单个 API_KEY，或通过 API_KEYS 配置多个具名密钥，
+ * 每个密钥可单独设置每日字符配额、每分钟请求数与允许使用的音色。
+ * 密钥比较为常量时间；用量计数保存在当前运行实例的内存中。
+ */
+
+import { getVoiceAliases } from "./voices.js";
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;        // 请求频率统计窗口
+const QUOTA_WINDOW_MS = 24 * 60 * 60 * 1000;   // 字符配额周期（按 UTC 自然日）
+const LEGACY_KEY_NAME = "default";             // 单个 API_KEY 对应的密钥名称
+
+// 密钥名称 -> 用量计数，在同一运行实例内的请求间共享
+const usageByKey = new Map();
+
+/**
+ * @typedef {Object} ApiKey
+ * @property {string} name - 密钥名称
+ * @property {string} key - 密钥值
+ * @property {number|null} charQuota - 每日字符配额，null 表示不限
+ * @property {number|null} rateLimit - 每分钟请求数上限，null 表示不限
+ * @property {string[]|null} voices - 允许使用的音色（别名或 Microsoft 音色名称），null 表示不限
+ * @property {boolean} admin - 是否可查看全部密钥的用量
+ */
+
+/**
+ * 读取已配置的密钥
+ *
+ * API_KEYS 为 JSON 对象，键为密钥名称，例如：
+ * { "team-a": { "key": "sk-a", "char_quota": 100000, "rate_limit": 30, "voices": ["nova"] } }
+ * 同时配置 API_KEY 时，它作为名为 default 的不限额密钥一并生效。
+ * API_KEYS 无法使用时视为配置错误而不是关闭认证，以免所有请求都能免密访问。
+ *
+ * @param {Object} [env] - 环境变量
+ * @returns {ApiKey[]} 密钥列表，为空表示未启用认证
+ * @throws {Error} API_KEYS 不是合法的 JSON 对象或某个密钥缺少 key 时抛出，error.status 为 500
+ */
+export function getApiKeys(env = {}) {
+  const keys = [];
+
+  if (env.API_KEYS) {
+    let config;
+    try {
+      config = typeof env.API_KEYS === "string" ? JSON.parse(env.API_KEYS) : env.API_KEYS;
+    } catch (error) {
+      throw configError(`API_KEYS 解析失败: ${error.message}`);
+    }
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+      throw configError("API_KEYS 必须是以密钥名称为键的 JSON 对象");
+    }
+
+    for (const [name, entry] of Object.entries(config)) {
+      const settings = typeof entry === "string" ? { key: entry } : entry || {};
+      if (typeof settings.key !== "string" || !settings.key) {
+        throw configError(`API_KEYS 中的密钥 '${name}' 缺少 key`);
+      }
+      keys.push({
+        name,
+        key: settings.key,
+        charQuota: positiveNumber(settings.char_quota),
+        rateLimit: positiveNumber(settings.rate_limit),
+        voices: Array.isArray(settings.voices) && settings.voices.length ? settings.voices.map(String) : null,
+        admin: settings.admin === true
+      });
+    }
+  }
+
+  if (env.API_KEY) {
+    keys.push({ name: LEGACY_KEY_NAME, key: env.API_KEY, charQuota: null, rateLimit: null, voices: null, admin: true });
+  }
+
+  return keys;
+}
+
+/**
+ * 校验请求携带的 Bearer 密钥
+ * @param {Request} request - HTTP 请求对象
+ * @param {Object} [env] - 环境变量
+ * @returns {Promise<ApiKey|null>} 匹配的密钥，未启用认证时返回 null
+ * @throws {Error} 密钥无效时抛出，error.status 为 401，error.code 为 invalid_api_key；
+ *   API_KEYS 配置错误时 error.status 为 500，error.code 为 invalid_api_keys_config
+ */
+export async function authenticate(request, env = {}) {
+  const keys = getApiKeys(env);
+  if (keys.length === 0) return null;
+
+  const authHeader = request.headers.get("authorization") || "";
+  const token = authHeader.startsWith("Bearer ") ? authHeader.slice(7) : "";
+
+  // 逐个比较全部密钥且不提前退出，避免通过响应时间推断密钥
+  let matched = null;
+  for (const apiKey of keys) {
+    if (await timingSafeEqual(token, apiKey.key) && !matched) matched = apiKey;
+  }
+
+  if (!matched) throw authError("无效的 API 密钥", 401, "invalid_api_key");
+  return matched;
+}
+
+// =================================================================================
+// 限额检查
+// =================================================================================
+
+/**
+ * 记录一次请求并检查请求频率
+ * @param {ApiKey|null} apiKey - 当前密钥
+ * @throws {Error} 超出频率限制时抛出，error.status 为 429，error.retryAfter 为需等待的秒数
+ */
+export function consumeRequest(apiKey) {
+  if (!apiKey) return;
+  const usage = getUsage(apiKey.name);
+  const now = Date.now();
+
+  if (now - usage.windowStart >= RATE_LIMIT_WINDOW_MS) {
+    usage.windowStart = now;
+    usage.windowRequests = 0;
+  }
+
+  if (apiKey.rateLimit && usage.windowRequests >= apiKey.rateLimit) {
+    const error = authError(`密钥 '${apiKey.name}' 超出请求频率限制（每分钟 ${apiKey.rateLimit} 次）`, 429, "rate_limit_exceeded");
+    error.retryAfter = Math.ceil((usage.windowStart + RATE_LIMIT_WINDOW_MS - now) / 1000);
+    throw error;
+  }
+
+  usage.windowRequests++;
+  usage.requests++;
+}
+
+/**
+ * 检查密钥能否执行本次合成：校验用到的音色并扣除字符配额
+ * @param {ApiKey|null} apiKey - 当前密钥
+ * @param {{voices: string[], characters: number}} plan - prepareSpeech 返回的合成计划
+ * @param {Object} [env] - 环境变量
+ * @throws {Error} 音色不允许时 error.status 为 403（code voice_not_allowed），配额不足时为 429
+ */
+export function authorizeSpeech(apiKey, plan, env = {}) {
+  authorizeVoices(apiKey, plan, env);
+  consumeCharacters(apiKey, plan.characters);
+}
+
+/**
+ * 校验合成用到的音色是否都在密钥允许的范围内
+ * @param {ApiKey|null} apiKey - 当前密钥
+ * @param {{voices: string[]}} plan - prepareSpeech 返回的合成计划
+ * @param {Object} [env] - 环境变量
+ * @throws {Error} 音色不允许时抛出，error.status 为 403，error.code 为 voice_not_allowed
+ */
+export function authorizeVoices(apiKey, plan, env = {}) {
+  const disallowedVoice = plan.voices.find(name => !isVoiceAllowed(apiKey, name, env));
+  if (disallowedVoice) {
+    const error = authError(`当前 API 密钥不允许使用音色 '${disallowedVoice}'`, 403, "voice_not_allowed");
+    error.param = "voice";
+    throw error;
+  }
+}
+
+/**
+ * 扣除本次合成的字符配额
+ *
+ * 在合成前扣除以免并发请求超出配额，合成失败时由 refundUsage 退还。
+ *
+ * @param {ApiKey|null} apiKey - 当前密钥
+ * @param {{characters: number}} plan - prepareSpeech 返回的合成计划
+ * @throws {Error} 超出配额时抛出，error.status 为 429
+ */
+export function chargeSpeech(apiKey, plan) {
+  consumeCharacters(apiKey, plan.characters);
+}
+
+/**
+ * 退还未产生音频的请求计入的用量（如 304 重新验证、合成失败）
+ *
+ * 只调整用量报告与字符配额，请求频率窗口内的计数保持不变，仍用于限流。
+ *
+ * @param {ApiKey|null} apiKey - 当前密钥
+ * @param {Object} refund - 退还的用量
+ * @param {number} [refund.characters] - 字符数
+ * @param {number} [refund.requests] - 请求数
+ */
+export function refundUsage(apiKey, { characters = 0, requests = 0 }) {
+  if (!apiKey) return;
+  const usage = getUsage(apiKey.name);
+  usage.requests = Math.max(0, usage.requests - requests);
+  usage.characters = Math.max(0, usage.characters - characters);
+  usage.periodCharacters = Math.max(0, usage.periodCharacters - characters);
+}
+
+/**
+ * 检查并扣除字符配额
+ * @param {ApiKey|null} apiKey - 当前密钥
+ * @param {number} characters - 本次合成的字符数
+ * @throws {Error} 超出配额时抛出，error.status 为 429，error.retryAfter 为距配额重置的秒数
+ */
+function consumeCharacters(apiKey, characters) {
+  if (!apiKey) return;
+  const usage = getUsage(apiKey.name);
+  resetQuotaPeriod(usage);
+
+  if (apiKey.charQuota && usage.periodCharacters + characters > apiKey.charQuota) {
+    const remaining = Math.max(0, apiKey.charQuota - usage.periodCharacters);
+    const error = authError(
+      `密钥 '${apiKey.name}' 的字符配额不足：本次需要 ${characters} 字符，今日剩余 ${remaining} 字符`,
+      429,
+      "rate_limit_exceeded"
+    );
+    error.retryAfter = Math.ceil((usage.periodStart + QUOTA_WINDOW_MS - Date.now()) / 1000);
+    throw error;
+  }
+
+  usage.periodCharacters += characters;
+  usage.characters += characters;
+}
+
+/**
+ * 检查密钥是否允许使用指定音色
+ * @param {ApiKey|null} apiKey - 当前密钥
+ * @param {string} voiceName - Microsoft 音色名称
+ * @param {Object} [env] - 环境变量，用于解析配置中的音色别名
+ * @returns {boolean} 是否允许
+ */
+function isVoiceAllowed(apiKey, voiceName, env = {}) {
+  if (!apiKey || !apiKey.voices) return true;
+  const aliases = getVoiceAliases(env);
+  const target = voiceName.toLowerCase();
+  return apiKey.voices.some(voice => (aliases[voice.toLowerCase()] || voice).toLowerCase() === target);
+}
+
+// =================================================================================
+// 用量报告
+// =================================================================================
+
+/**
+ * 生成用量报告
+ * @param {ApiKey|null} apiKey - 当前密钥，管理员密钥或未启用认证时返回全部密钥
+ * @param {Object} [env] - 环境变量
+ * @returns {Array<Object>} 每个密钥的用量
+ */
+export function getUsageReport(apiKey, env = {}) {
+  const keys = !apiKey || apiKey.admin ? getApiKeys(env) : [apiKey];
+
+  return keys.map(({ name, charQuota, rateLimit, voices }) => {
+    const usage = getUsage(name);
+    resetQuotaPeriod(usage);
+    return {
+      object: "usage",
+      key: name,
+      requests: usage.requests,
+      characters: usage.characters,
+      period_start: new Date(usage.periodStart).toISOString(),
+      period_characters: usage.periodCharacters,
+      char_quota: charQuota,
+      characters_remaining: charQuota ? Math.max(0, charQuota - usage.periodCharacters) : null,
+      rate_limit: rateLimit,
+      voices
+    };
+  });
+}
+
+// =================================================================================
+// 内部工具函数
+// =================================================================================
+
+/**
+ * 获取（必要时创建）密钥的用量计数
+ * @param {string} name - 密钥名称
+ * @returns {Object} 用量计数
+ */
+function getUsage(name) {
+  let usage = usageByKey.get(name);
+  if (!usage) {
+    usage = {
+      requests: 0,
+      characters: 0,
+      windowStart: Date.now(),
+      windowRequests: 0,
+      periodStart: currentPeriodStart(),
+      periodCharacters: 0
+    };
+    usageByKey.set(name, usage);
+  }
+  return usage;
+}
+
+/**
+ * 进入新的配额周期时清零周期内的字符数
+ * @param {Object} usage - 用量计数
+ */
+function resetQuotaPeriod(usage) {
+  const periodStart = currentPeriodStart();
+  if (usage.periodStart !== periodStart) {
+    usage.periodStart = periodStart;
+    usage.periodCharacters = 0;
+  }
+}
+
+/**
+ * 当前配额周期（UTC 自然日）的起始时间
+ * @returns {number} 毫秒时间戳
+ */
+function currentPeriodStart() {
+  return Math.floor(Date.now() / QUOTA_WINDOW_MS) * QUOTA_WINDOW_MS;
+}
+
+/**
+ * 常量时间比较两个字符串：先计算 SHA-256 使长度一致，再逐字节异或
+ * @param {string} a - 字符串 a
+ * @param {string} b - 字符串 b
+ * @returns {Promise<boolean>} 是否相等
+ */
+async function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const [digestA, digestB] = await Promise.all([
+    crypto.subtle.digest("SHA-256", encoder.encode(a)),
+    crypto.subtle.digest("SHA-256", encoder.encode(b))
+  ]);
+  const bytesA = new Uint8Array(digestA);
+  const bytesB = new Uint8Array(digestB);
+
+  let diff = 0;
+  for (let i = 0; i < bytesA.length; i++) diff |= bytesA[i] ^ bytesB[i];
+  return diff === 0;
+}
+
+/**
+ * 创建带状态码与错误码的错误
+ * @param {string} message - 错误消息
+ * @param {number} status - HTTP 状态码
+ * @param {string} code - OpenAI 风格错误码
+ * @returns {Error} 错误对象
+ */
+function authError(message, status, code) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  return error;
+}
+
+/**
+ * 生成 API_KEYS 配置错误，请求以 500 拒绝
+ * @param {string} message - 错误消息
+ * @returns {Error} 错误对象
+ */
+function configError(message) {
+  console.error(message);
+  return authError(message, 500, "invalid_api_keys_config");
+}
+
+/**
+ * 解析正数配置项
+ * @param {any} value - 配置值
+ * @returns {number|null} 正数，未设置或无效时返回 null
+ */
+function positiveNumber(value) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : null;
+}
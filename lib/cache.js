@@ -0,0 +1,144 @@
+/**
+ * 合成音频缓存
+ *
+ * @description 以「最终 SSML + 输出格式」的 SHA-256 作为键缓存每个文本块的音频，
+ * 命中时跳过上游请求。存储层可插拔：默认使用运行时的 Cache API，不可用时回退到内存 LRU，
+ * 也可以通过 setAudioCacheStore 注入自定义实现（如 KV）。
+ */
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+const DEFAULT_CACHE_TTL = 24 * 60 * 60;              // 缓存时间（秒）
+const DEFAULT_MEMORY_MAX_BYTES = 32 * 1024 * 1024;   // 内存 LRU 的容量上限（字节）
+const CACHE_KEY_ORIGIN = "https://tts-audio-cache.internal"; // Cache API 需要以 URL 作为键
+
+// 自定义存储，优先于内置实现
+let customStore = null;
+// 内存 LRU 实例，在同一运行实例内的请求间共享
+let memoryStore = null;
+
+/**
+ * @typedef {Object} AudioCacheStore
+ * @property {function(string): Promise<Uint8Array|null>} get - 按键读取音频
+ * @property {function(string, Uint8Array, number): Promise<void>} put - 写入音频，第三个参数为 TTL（秒）
+ */
+
+/**
+ * 注入自定义缓存存储
+ * @param {AudioCacheStore|null} store - 存储实现，传入 null 恢复默认
+ */
+export function setAudioCacheStore(store) {
+  customStore = store;
+}
+
+/**
+ * 按环境变量创建本次请求使用的音频缓存
+ * @param {Object} [env] - 环境变量，支持 AUDIO_CACHE (auto / cache-api / memory / off)、
+ *   AUDIO_CACHE_TTL（秒）、AUDIO_CACHE_MAX_BYTES（内存 LRU 容量）
+ * @returns {{store: AudioCacheStore, ttl: number}|null} 缓存，已关闭时返回 null
+ */
+export function getAudioCache(env = {}) {
+  const mode = (env.AUDIO_CACHE || "auto").toLowerCase();
+  if (mode === "off") return null;
+
+  const ttl = Number(env.AUDIO_CACHE_TTL) || DEFAULT_CACHE_TTL;
+
+  if (customStore) return { store: customStore, ttl };
+
+  const runtimeCache = typeof caches !== "undefined" && caches.default;
+  if (runtimeCache && (mode === "auto" || mode === "cache-api")) {
+    return { store: createCacheApiStore(runtimeCache), ttl };
+  }
+
+  if (!memoryStore) {
+    memoryStore = createMemoryStore(Number(env.AUDIO_CACHE_MAX_BYTES) || DEFAULT_MEMORY_MAX_BYTES);
+  }
+  return { store: memoryStore, ttl };
+}
+
+/**
+ * 计算缓存键
+ * @param {string} ssml - 最终发送给上游的 SSML
+ * @param {string} outputFormat - Microsoft 输出格式
+ * @returns {Promise<string>} 十六进制 SHA-256
+ */
+export async function getCacheKey(ssml, outputFormat) {
+  return sha256Hex(`${outputFormat}\n${ssml}`);
+}
+
+/**
+ * 计算字符串的 SHA-256
+ * @param {string} text - 文本
+ * @returns {Promise<string>} 十六进制摘要
+ */
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// =================================================================================
+// 存储实现
+// =================================================================================
+
+/**
+ * 基于运行时 Cache API 的存储
+ * @param {Cache} cache - caches.default
+ * @returns {AudioCacheStore} 存储
+ */
+function createCacheApiStore(cache) {
+  return {
+    async get(key) {
+      const response = await cache.match(`${CACHE_KEY_ORIGIN}/${key}`);
+      return response ? new Uint8Array(await response.arrayBuffer()) : null;
+    },
+    async put(key, bytes, ttl) {
+      await cache.put(`${CACHE_KEY_ORIGIN}/${key}`, new Response(bytes, {
+        headers: { "Cache-Control": `public, max-age=${ttl}` }
+      }));
+    }
+  };
+}
+
+/**
+ * 内存 LRU 存储，按总字节数淘汰最久未使用的条目
+ * @param {number} maxBytes - 容量上限
+ * @returns {AudioCacheStore} 存储
+ */
+function createMemoryStore(maxBytes) {
+  const entries = new Map(); // Map 按插入顺序迭代，最早的即最久未使用
+  let totalBytes = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (!entry) return;
+    totalBytes -= entry.bytes.length;
+    entries.delete(key);
+  };
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (Date.now() > entry.expiresAt) {
+        remove(key);
+        return null;
+      }
+      // 重新插入以标记为最近使用
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.bytes;
+    },
+    async put(key, bytes, ttl) {
+      if (bytes.length > maxBytes) return;
+      remove(key);
+      entries.set(key, { bytes, expiresAt: Date.now() + ttl * 1000 });
+      totalBytes += bytes.length;
+      for (const oldest of entries.keys()) {
+        if (totalBytes <= maxBytes) break;
+        remove(oldest);
+      }
+    }
+  };
+}
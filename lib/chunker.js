@@ -0,0 +1,219 @@
+/**
+ * 文本分块
+ *
+ * @description 把清理后的文本切分为适合单次合成的文本块。可按段落、句子或分句选择允许的
+ * 分块边界；每个文本块的字符数不超过 chunk_size，且其最终 SSML 的 UTF-8 字节数不超过上限。
+ * 标签（如 <break/>、<say-as>）始终整体保留；超长的句子依次退到更细的边界，
+ * 最终在单词或汉字之间强制切分；过小的文本块会并入相邻的文本块。
+ */
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+export const CHUNK_STRATEGIES = ["paragraph", "sentence", "clause"];
+export const DEFAULT_CHUNK_STRATEGY = "sentence";
+export const DEFAULT_MAX_CHUNK_BYTES = 4096;  // 单个文本块最终 SSML 的字节数上限
+const MIN_CHUNK_LENGTH = 20;                  // 短于此字符数的文本块尝试并入相邻文本块
+
+// 标签整体作为一个单元，不在其内部切分
+export const TAG_PATTERN = /(<say-as\b[^>]*>[^<]*<\/say-as>|<[^>]+>)/;
+
+// 各级边界（零宽匹配，标点保留在前一个单元的末尾）
+const BOUNDARIES = {
+  paragraph: /(?<=\n\s*\n)/,
+  // 句末标点（可跟引号、括号）、后跟空白的英文句号、换行
+  sentence: /(?<=[。！？!?…；;][”」』"'）)]*)(?![。！？!?…；;”」』"'）)])|(?<=\.)(?=\s)|(?<=\n)/,
+  // 在句子边界之外，再允许在逗号、顿号、冒号之后切分（不切分数字中的千分位）
+  clause: /(?<=[。！？!?…；;][”」』"'）)]*)(?![。！？!?…；;”」』"'）)])|(?<=\.)(?=\s)|(?<=\n)|(?<=[，、：])|(?<=,)(?!\d)|(?<=:)(?=\s)/
+};
+
+// 强制切分时的最小单元：标签、带尾随空白的单词、单个汉字或其他字符
+const ATOM_PATTERN = /<say-as\b[^>]*>[^<]*<\/say-as>|<[^>]+>|[\p{L}\p{N}'’-]+\s*|\s+|./gsu;
+const CJK_PATTERN = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+const encoder = new TextEncoder();
+
+/**
+ * 校验分块参数
+ * @param {Object} params - 请求参数 { chunk_strategy, chunk_size, max_chunk_bytes }
+ * @returns {{strategy: string, maxLength: number, maxBytes: number}} 分块设置
+ * @throws {Error} 参数无效时抛出，error.param 指明出错的参数
+ */
+export function resolveChunking({ chunk_strategy = DEFAULT_CHUNK_STRATEGY, chunk_size, max_chunk_bytes = DEFAULT_MAX_CHUNK_BYTES }) {
+  if (!CHUNK_STRATEGIES.includes(chunk_strategy)) {
+    throw paramError(`无效的 chunk_strategy '${chunk_strategy}'，可选值: ${CHUNK_STRATEGIES.join(", ")}`, "chunk_strategy");
+  }
+  const maxLength = Number(chunk_size);
+  if (!Number.isInteger(maxLength) || maxLength <= 0) {
+    throw paramError("chunk_size 必须是正整数", "chunk_size");
+  }
+  const maxBytes = Number(max_chunk_bytes);
+  if (!Number.isInteger(maxBytes) || maxBytes <= 0) {
+    throw paramError("max_chunk_bytes 必须是正整数", "max_chunk_bytes");
+  }
+  return { strategy: chunk_strategy, maxLength, maxBytes };
+}
+
+// =================================================================================
+// 分块
+// =================================================================================
+
+/**
+ * 把文本切分为文本块
+ * @param {string} text - 已清理的文本（可包含 break / say-as 标签）
+ * @param {Object} options - 分块选项
+ * @param {string} options.strategy - 允许的边界: paragraph / sentence / clause
+ * @param {number} options.maxLength - 单个文本块的最大字符数
+ * @param {number} options.maxBytes - 单个文本块最终 SSML 的最大字节数
+ * @param {function(string): string} [options.render] - 把文本块渲染为最终 SSML，未提供时按文本本身计算字节数
+ * @returns {string[]} 文本块数组
+ * @throws {Error} SSML 外层结构本身已超过字节上限时抛出，error.param 为 max_chunk_bytes
+ */
+export function splitIntoChunks(text, { strategy, maxLength, maxBytes, render = chunk => chunk }) {
+  if (!text || !text.trim()) return [];
+
+  const overhead = encoder.encode(render("")).length;
+  if (overhead >= maxBytes) {
+    throw paramError(`max_chunk_bytes 过小：SSML 外层结构已占用 ${overhead} 字节`, "max_chunk_bytes");
+  }
+
+  // 先比较字符数，再渲染计算 SSML 字节数
+  const fits = chunk => chunk.length <= maxLength && encoder.encode(render(chunk)).length <= maxBytes;
+
+  const levels = CHUNK_STRATEGIES.slice(CHUNK_STRATEGIES.indexOf(strategy));
+  const units = splitUnits(text, levels, fits);
+  return mergeSmallChunks(packUnits(units, fits), fits);
+}
+
+/**
+ * 按边界层级切分文本，放不进一个文本块的单元继续按更细的边界切分，最后强制切分
+ * @param {string} text - 文本
+ * @param {string[]} levels - 由粗到细的边界层级
+ * @param {function(string): boolean} fits - 判断文本能否单独成块
+ * @returns {string[]} 每个都能单独成块的单元
+ */
+function splitUnits(text, levels, fits) {
+  if (levels.length === 0) return hardSplit(text, fits);
+
+  const [level, ...finer] = levels;
+  return splitAtBoundary(text, BOUNDARIES[level])
+    .flatMap(unit => fits(unit.trim()) ? [unit] : splitUnits(unit, finer, fits));
+}
+
+/**
+ * 在边界处切分文本，标签内部不切分
+ * @param {string} text - 文本
+ * @param {RegExp} boundary - 零宽边界
+ * @returns {string[]} 单元（保留原有空白，拼接后等于原文）
+ */
+function splitAtBoundary(text, boundary) {
+  const units = [];
+  let current = "";
+
+  for (const part of text.split(TAG_PATTERN)) {
+    if (TAG_PATTERN.test(part)) {
+      current += part;
+      continue;
+    }
+    const pieces = part.split(boundary);
+    pieces.forEach((piece, index) => {
+      current += piece;
+      if (index < pieces.length - 1) {
+        units.push(current);
+        current = "";
+      }
+    });
+  }
+  if (current) units.push(current);
+  return units;
+}
+
+/**
+ * 强制切分过长的单元：拉丁文本在单词之间、中日韩文本在字与字之间切分
+ * @param {string} text - 文本
+ * @param {function(string): boolean} fits - 判断文本能否单独成块
+ * @returns {string[]} 单元
+ */
+function hardSplit(text, fits) {
+  const units = [];
+  let current = "";
+
+  for (const [atom] of text.matchAll(ATOM_PATTERN)) {
+    // 以汉字开头的单词逐字处理，以便在字与字之间切分
+    const pieces = CJK_PATTERN.test(atom) ? [...atom] : [atom];
+    for (const piece of pieces) {
+      if (current && !fits((current + piece).trim())) {
+        units.push(current);
+        current = "";
+      }
+      // 单个原子本身超限（如超长标签）时只能单独成块
+      current += piece;
+    }
+  }
+  if (current) units.push(current);
+  return units;
+}
+
+/**
+ * 依次把单元装入文本块，装不下时开始新的文本块
+ * @param {string[]} units - 单元
+ * @param {function(string): boolean} fits - 判断文本能否单独成块
+ * @returns {string[]} 文本块
+ */
+function packUnits(units, fits) {
+  const chunks = [];
+  let current = "";
+
+  for (const unit of units) {
+    if (current.trim() && !fits((current + unit).trim())) {
+      chunks.push(current.trim());
+      current = "";
+    }
+    current += unit;
+  }
+  if (current.trim()) chunks.push(current.trim());
+  return chunks;
+}
+
+/**
+ * 把过小的文本块并入前一个（或后一个）文本块
+ * @param {string[]} chunks - 文本块
+ * @param {function(string): boolean} fits - 判断文本能否单独成块
+ * @returns {string[]} 合并后的文本块
+ */
+function mergeSmallChunks(chunks, fits) {
+  const merged = [];
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    if (chunk.length < MIN_CHUNK_LENGTH) {
+      const previous = merged[merged.length - 1];
+      if (previous !== undefined && fits(`${previous} ${chunk}`)) {
+        merged[merged.length - 1] = `${previous} ${chunk}`;
+        continue;
+      }
+      if (i + 1 < chunks.length && fits(`${chunk} ${chunks[i + 1]}`)) {
+        chunks[i + 1] = `${chunk} ${chunks[i + 1]}`;
+        continue;
+      }
+    }
+    merged.push(chunk);
+  }
+  return merged;
+}
+
+// =================================================================================
+// 内部工具函数
+// =================================================================================
+
+/**
+ * 生成带参数名的校验错误
+ * @param {string} message - 错误消息
+ * @param {string} param - 出错的请求参数
+ * @returns {Error} 错误对象
+ */
+function paramError(message, param) {
+  const error = new Error(message);
+  error.param = param;
+  return error;
+}
@@ -0,0 +1,89 @@
+/**
+ * 多角色对话解析
+ *
+ * @description 解析对话片段数组或 "[角色]: 台词" 形式的脚本，
+ * 输出统一的片段列表，由语音合成路由按各自的音色设置渲染并按顺序拼接。
+ */
+
+// 角色行: [晓晓]: 台词 / 【晓晓】：台词
+const SPEAKER_LINE_PATTERN = /^\s*[\[【]([^\]】]+)[\]】]\s*[:：]\s*(.*)$/;
+
+const SEGMENT_FIELDS = ["voice", "style", "speed", "pitch"];
+
+/**
+ * 解析对话脚本
+ * @param {string} script - 每行以 [角色]: 开头的脚本，不带角色前缀的行续接上一位角色
+ * @param {Object} [speakers] - 角色名 -> { voice, style, speed, pitch }，未配置的角色名直接作为音色解析
+ * @param {Object} [ranges] - 片段 speed / pitch 的取值范围，见 normalizeSegments
+ * @returns {Array<{voice: string, text: string, style?: string, speed?: number, pitch?: number}>} 片段列表
+ * @throws {Error} 脚本格式不正确时抛出
+ */
+export function parseDialogueScript(script, speakers = {}, ranges = {}) {
+  const segments = [];
+
+  script.split(/\r?\n/).forEach((line, index) => {
+    const match = SPEAKER_LINE_PATTERN.exec(line);
+    if (match) {
+      const speaker = match[1].trim();
+      segments.push({ voice: speaker, ...pickSegmentFields(speakers[speaker]), text: match[2] });
+      return;
+    }
+
+    if (!line.trim()) return;
+    if (segments.length === 0) {
+      throw new Error(`第 ${index + 1} 行缺少角色前缀，格式应为 "[角色]: 台词"`);
+    }
+    segments[segments.length - 1].text += `\n${line}`;
+  });
+
+  return normalizeSegments(segments, ranges);
+}
+
+/**
+ * 校验并规范化对话片段
+ * @param {Array<Object>} segments - 片段数组 [{ voice, text, style, speed, pitch }]
+ * @param {Object} [ranges] - 字段名 -> [最小值, 最大值]，如 { speed: [0.25, 2], pitch: [0.5, 1.5] }，未提供的字段只校验是否为数字
+ * @returns {Array<Object>} 去除空台词后的片段列表
+ * @throws {Error} 片段格式不正确时抛出
+ */
+export function normalizeSegments(segments, ranges = {}) {
+  if (!Array.isArray(segments) || segments.length === 0) {
+    throw new Error("对话至少需要一个片段");
+  }
+
+  const normalized = segments.map((segment, index) => {
+    if (!segment || typeof segment.text !== "string") {
+      throw new Error(`第 ${index + 1} 个片段缺少 text`);
+    }
+    for (const field of ["speed", "pitch"]) {
+      if (segment[field] === undefined || segment[field] === null) continue;
+      const value = Number(segment[field]);
+      if (!Number.isFinite(value)) {
+        throw new Error(`第 ${index + 1} 个片段的 ${field} 必须是数字`);
+      }
+      const range = ranges[field];
+      if (range && (value < range[0] || value > range[1])) {
+        throw new Error(`第 ${index + 1} 个片段的 ${field} 必须是 ${range[0]} 到 ${range[1]} 之间的数字`);
+      }
+    }
+    return { ...pickSegmentFields(segment), text: segment.text };
+  }).filter(segment => segment.text.trim());
+
+  if (normalized.length === 0) {
+    throw new Error("对话片段的台词均为空");
+  }
+  return normalized;
+}
+
+/**
+ * 提取片段中的音色设置字段
+ * @param {Object} [source] - 片段或角色配置
+ * @returns {Object} 仅包含已设置的 voice / style / speed / pitch
+ */
+function pickSegmentFields(source = {}) {
+  const fields = {};
+  for (const field of SEGMENT_FIELDS) {
+    if (source[field] !== undefined && source[field] !== null) fields[field] = source[field];
+  }
+  return fields;
+}
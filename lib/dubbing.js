@@ -0,0 +1,136 @@
+/**
+ * 字幕配音
+ *
+ * @description 按 SRT / WebVTT 的时间轴拼接每条台词的音频：台词之间插入静音，使每句都从
+ * 其时间戳开始；音频超出字幕时长时自动提高语速重新合成（不超过上限），仍然超出的台词
+ * 会出现在报告中，并顺延后续台词。
+ */
+
+import { getAudioDuration, createSilence } from "./audio.js";
+import { synthesizeChunks } from "./synthesis.js";
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+export const DEFAULT_MAX_SPEED = 1.5;  // 自动加速的语速上限
+const MAX_SPEED_LIMIT = 2.0;           // max_speed 允许的最大值
+const SPEEDUP_ATTEMPTS = 2;            // 每条台词最多重新合成的次数
+const SPEEDUP_MARGIN = 1.05;           // 加速时多留的余量，语速与时长并非严格反比
+const OVERFLOW_TOLERANCE = 0.05;       // 允许超出的秒数，避免因 MP3 帧取整反复加速
+
+/**
+ * 校验语速上限
+ * @param {number} maxSpeed - 请求中的 max_speed
+ * @param {number} speed - 请求中的 speed
+ * @returns {number} 语速上限
+ * @throws {Error} 取值无效时抛出，error.param 为 max_speed
+ */
+export function resolveMaxSpeed(maxSpeed, speed = 1.0) {
+  const value = maxSpeed === undefined ? Math.max(DEFAULT_MAX_SPEED, Number(speed)) : Number(maxSpeed);
+  if (!Number.isFinite(value) || value < Number(speed) || value > MAX_SPEED_LIMIT) {
+    const error = new Error(`max_speed 必须是不小于 speed 且不超过 ${MAX_SPEED_LIMIT} 的数字`);
+    error.param = "max_speed";
+    throw error;
+  }
+  return value;
+}
+
+// =================================================================================
+// 配音流程
+// =================================================================================
+
+/**
+ * 按字幕时间轴合成配音
+ * @param {Object} plan - prepareSpeech 返回的合成计划（cues 与 textChunks 一一对应）
+ * @param {Object} synthOptions - 合成选项 { concurrency, retryPolicy, cache, cacheStats }
+ * @param {number} maxSpeed - 自动加速的语速上限
+ * @returns {Promise<{audioChunks: Uint8Array[], duration: number, cues: Array<Object>, overflows: Array<Object>}>}
+ *   按时间轴排列的音频数据（含静音）、总时长与每条台词的实际时间
+ */
+export async function synthesizeDubbing(plan, synthOptions, maxSpeed) {
+  const { textChunks, ttsArgs, format, cues } = plan;
+  const baseSpeed = 1 + Number(ttsArgs[1]) / 100;
+
+  const audio = await synthesizeChunks(textChunks, synthOptions, ...ttsArgs);
+  const durations = audio.map(bytes => getAudioDuration(bytes, format));
+  const speeds = cues.map(() => baseSpeed);
+
+  // 超出字幕时长的台词按超出比例提高语速，批量重新合成
+  for (let attempt = 0; attempt < SPEEDUP_ATTEMPTS; attempt++) {
+    const pending = cues
+      .map((cue, i) => i)
+      .filter(i => durations[i] > slotOf(cues[i]) + OVERFLOW_TOLERANCE && speeds[i] < maxSpeed);
+    if (pending.length === 0) break;
+
+    for (const i of pending) {
+      speeds[i] = Math.min(maxSpeed, speeds[i] * durations[i] / slotOf(cues[i]) * SPEEDUP_MARGIN);
+    }
+    const retried = await synthesizeChunks(
+      pending.map(i => withSpeed(textChunks[i], speeds[i])),
+      synthOptions,
+      ...ttsArgs
+    );
+    pending.forEach((i, j) => {
+      audio[i] = retried[j];
+      durations[i] = getAudioDuration(retried[j], format);
+    });
+  }
+
+  // 按时间轴排列：台词开始前插入静音，前一句超时时顺延
+  const reference = audio.find(bytes => bytes.length > 0);
+  const audioChunks = [];
+  const timeline = [];
+  const overflows = [];
+  let position = 0;
+
+  cues.forEach((cue, i) => {
+    if (cue.start > position) {
+      const silence = createSilence(format, cue.start - position, reference);
+      audioChunks.push(silence);
+      position += getAudioDuration(silence, format);
+    }
+    audioChunks.push(audio[i]);
+
+    const entry = {
+      index: cue.index,
+      start: cue.start,
+      end: cue.end,
+      text: textChunks[i].text,
+      audio_start: position,
+      audio_duration: durations[i],
+      speed: Number(speeds[i].toFixed(2))
+    };
+    timeline.push(entry);
+    if (durations[i] > slotOf(cue) + OVERFLOW_TOLERANCE) {
+      overflows.push({ ...entry, overflow: durations[i] - slotOf(cue) });
+    }
+    position += durations[i];
+  });
+
+  return { audioChunks, duration: position, cues: timeline, overflows };
+}
+
+// =================================================================================
+// 内部工具函数
+// =================================================================================
+
+/**
+ * 字幕条目的时长
+ * @param {{start: number, end: number}} cue - 字幕条目
+ * @returns {number} 秒数
+ */
+function slotOf(cue) {
+  return cue.end - cue.start;
+}
+
+/**
+ * 以新的语速重新生成 SSML 分块
+ * @param {{ssml: string, text: string}} chunk - SSML 分块
+ * @param {number} speed - 语速 (OpenAI speed)
+ * @returns {{ssml: string, text: string}} 新的分块
+ */
+function withSpeed(chunk, speed) {
+  const rate = ((speed - 1) * 100).toFixed(0);
+  return { ...chunk, ssml: chunk.ssml.replace(/(<prosody rate=")[^"]*(")/, `$1${rate}%$2`) };
+}
@@ -0,0 +1,293 @@
+/**
+ * Microsoft Translator 端点与 Token 获取
+ *
+ * @description 通过 Translator 应用的签名流程获取 TTS 服务的区域端点与 Token，
+ * 并在模块内缓存，供语音合成及音色列表等路由共用。
+ */
+
+import { TOKEN_ERROR_CODE } from "./errors.js";
+
+// =================================================================================
+// 稳定的身份验证与辅助函数
+// =================================================================================
+
+// Token 缓存信息
+let tokenInfo = { endpoint: null, token: null, expiredAt: null };
+const TOKEN_REFRESH_BEFORE_EXPIRY = 5 * 60; // 提前 5 分钟刷新 Token
+
+/**
+ * 获取 Microsoft TTS 服务端点和 Token
+ * @returns {Promise<Object>} 端点信息对象
+ * @throws {Error} 获取失败且没有缓存的 Token 时抛出，error.code 为 token_unavailable
+ */
+export async function getEndpoint() {
+  const now = Date.now() / 1000;
+
+  // 检查 Token 是否仍然有效
+  if (tokenInfo.token && tokenInfo.expiredAt &&
+    now < tokenInfo.expiredAt - TOKEN_REFRESH_BEFORE_EXPIRY) {
+    return tokenInfo.endpoint;
+  }
+
+  const endpointUrl = "https://dev.microsofttranslator.com/apps/endpoint?api-version=1.0";
+
+  let clientId;
+  try {
+    clientId = crypto.randomUUID().replace(/-/g, "");
+  } catch (e) {
+    // 如果 crypto.randomUUID 不可用，使用备用方法
+    clientId = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+  }
+
+  try {
+    const signature = await sign(endpointUrl);
+
+    const response = await fetch(endpointUrl, {
+      method: "POST",
+      headers: {
+        "Accept-Language": "zh-Hans",
+        "X-ClientVersion": "4.0.530a 5fe1dc6c",
+        "X-UserId": "0f04d16a175c411e",
+        "X-HomeGeographicRegion": "zh-Hans-CN",
+        "X-ClientTraceId": clientId,
+        "X-MT-Signature": signature,
+        "User-Agent": "okhttp/4.5.0",
+        "Content-Type": "application/json; charset=utf-8",
+        "Content-Length": "0",
+        "Accept-Encoding": "gzip"
+      }
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`获取端点失败: ${response.status} ${response.statusText} - ${errorText}`);
+    }
+
+    const data = await response.json();
+
+    // 解析 JWT Token 获取过期时间
+    let decodedJwt;
+    try {
+      const jwt = data.t.split(".")[1];
+
+      // 尝试多种 base64 解码方式
+      let decoded;
+      if (typeof atob !== 'undefined') {
+        decoded = atob(jwt);
+      } else if (typeof Buffer !== 'undefined') {
+        decoded = Buffer.from(jwt, 'base64').toString('utf-8');
+      } else {
+        // 手动 base64 解码
+        const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+        let result = '';
+        for (let i = 0; i < jwt.length; i += 4) {
+          const a = chars.indexOf(jwt[i]);
+          const b = chars.indexOf(jwt[i + 1]);
+          const c = chars.indexOf(jwt[i + 2]);
+          const d = chars.indexOf(jwt[i + 3]);
+
+          result += String.fromCharCode((a << 2) | (b >> 4));
+          if (c !== 64) result += String.fromCharCode(((b & 15) << 4) | (c >> 2));
+          if (d !== 64) result += String.fromCharCode(((c & 3) << 6) | d);
+        }
+        decoded = result;
+      }
+
+      decodedJwt = JSON.parse(decoded);
+    } catch (e) {
+      throw new Error(`JWT 解析失败: ${e.message}`);
+    }
+
+    // 更新 Token 缓存
+    tokenInfo = {
+      endpoint: data,
+      token: data.t,
+      expiredAt: decodedJwt.exp
+    };
+
+    return data;
+  } catch (error) {
+    // 如果有缓存的 Token，使用过期的 Token 作为备用
+    if (tokenInfo.token) {
+      return tokenInfo.endpoint;
+    }
+
+    const tokenError = new Error(`端点获取失败: ${error.message}`);
+    tokenError.code = TOKEN_ERROR_CODE;
+    throw tokenError;
+  }
+}
+
+/**
+ * 获取缓存的 Token 的过期时间
+ * @returns {number|null} 过期时间（Unix 秒），尚未获取时返回 null
+ */
+export function getTokenExpiry() {
+  return tokenInfo.expiredAt;
+}
+
+/**
+ * 使缓存的 Token 失效，下次调用 getEndpoint 时重新获取
+ */
+export function invalidateEndpoint() {
+  tokenInfo = { endpoint: null, token: null, expiredAt: null };
+}
+
+/**
+ * 生成 Microsoft Translator 签名
+ * @param {string} urlStr - 要签名的 URL
+ * @returns {Promise<string>} 签名字符串
+ */
+async function sign(urlStr) {
+  const url = urlStr.split("://")[1];
+  const encodedUrl = encodeURIComponent(url);
+
+  let uuidStr;
+  try {
+    uuidStr = crypto.randomUUID().replace(/-/g, "");
+  } catch (e) {
+    // 如果 crypto.randomUUID 不可用，使用备用方法
+    uuidStr = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+  }
+
+  const formattedDate = (new Date()).toUTCString().replace(/GMT/, "").trim() + " GMT";
+
+  // 构建待签名字符串
+  const bytesToSign = `MSTranslatorAndroidApp${encodedUrl}${formattedDate}${uuidStr}`.toLowerCase();
+
+  // 解码密钥并生成 HMAC 签名
+  const decode = await base64ToBytes("oik6PdDdMnOXemTbwvMn9de/h9lFnfBaCWbGMMZqqoSaQaqUOqjVGm5NqsmjcBI1x+sS9ugjB55HEJWRiFXYFw==");
+  const signData = await hmacSha256(decode, bytesToSign);
+  const signBase64 = await bytesToBase64(signData);
+
+  return `MSTranslatorAndroidApp::${signBase64}::${formattedDate}::${uuidStr}`;
+}
+
+/**
+ * HMAC-SHA256 签名
+ * @param {Uint8Array} key - 密钥
+ * @param {string} data - 待签名数据
+ * @returns {Promise<Uint8Array>} 签名结果
+ */
+async function hmacSha256(key, data) {
+  // 检查 EdgeOne Pages 环境中的 crypto API
+  if (!crypto || !crypto.subtle) {
+    throw new Error("crypto.subtle API 不可用，EdgeOne Pages 环境可能不支持此功能");
+  }
+
+  try {
+    // 确保 key 是 Uint8Array 格式
+    const keyBuffer = key instanceof Uint8Array ? key : new Uint8Array(key);
+
+    // 导入密钥，使用更兼容的参数
+    const cryptoKey = await crypto.subtle.importKey(
+      "raw",
+      keyBuffer,
+      {
+        name: "HMAC",
+        hash: "SHA-256"  // 简化 hash 参数
+      },
+      false,
+      ["sign"]
+    );
+
+    // 确保数据是正确的格式
+    const dataBuffer = typeof data === 'string' ? new TextEncoder().encode(data) : data;
+
+    // 执行签名
+    const signature = await crypto.subtle.sign("HMAC", cryptoKey, dataBuffer);
+    return new Uint8Array(signature);
+  } catch (e) {
+    throw new Error(`HMAC 签名失败: ${e.message} | 详细信息: ${e.stack}`);
+  }
+}
+
+/**
+ * Base64 字符串转字节数组
+ * @param {string} base64 - Base64 字符串
+ * @returns {Promise<Uint8Array>} 字节数组
+ */
+async function base64ToBytes(base64) {
+  try {
+    // 检查全局 atob 函数
+    if (typeof atob !== 'undefined') {
+      const binaryString = atob(base64);
+      const bytes = new Uint8Array(binaryString.length);
+      for (let i = 0; i < binaryString.length; i++) {
+        bytes[i] = binaryString.charCodeAt(i);
+      }
+      return bytes;
+    }
+
+    // 如果 atob 不可用，尝试使用 Buffer (Node.js 环境)
+    if (typeof Buffer !== 'undefined') {
+      return new Uint8Array(Buffer.from(base64, 'base64'));
+    }
+
+    // 手动实现 base64 解码作为最后的备用方案
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    let result = '';
+    for (let i = 0; i < base64.length; i += 4) {
+      const a = chars.indexOf(base64[i]);
+      const b = chars.indexOf(base64[i + 1]);
+      const c = chars.indexOf(base64[i + 2]);
+      const d = chars.indexOf(base64[i + 3]);
+
+      result += String.fromCharCode((a << 2) | (b >> 4));
+      if (c !== 64) result += String.fromCharCode(((b & 15) << 4) | (c >> 2));
+      if (d !== 64) result += String.fromCharCode(((c & 3) << 6) | d);
+    }
+
+    const bytes = new Uint8Array(result.length);
+    for (let i = 0; i < result.length; i++) {
+      bytes[i] = result.charCodeAt(i);
+    }
+    return bytes;
+  } catch (e) {
+    throw new Error(`Base64 解码失败: ${e.message}`);
+  }
+}
+
+/**
+ * 字节数组转 Base64 字符串
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {Promise<string>} Base64 字符串
+ */
+export async function bytesToBase64(bytes) {
+  try {
+    // 检查全局 btoa 函数
+    if (typeof btoa !== 'undefined') {
+      // 分段转换，避免大数组超出参数个数上限
+      let binary = '';
+      for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+      }
+      return btoa(binary);
+    }
+
+    // 如果 btoa 不可用，尝试使用 Buffer (Node.js 环境)
+    if (typeof Buffer !== 'undefined') {
+      return Buffer.from(bytes).toString('base64');
+    }
+
+    // 手动实现 base64 编码作为最后的备用方案
+    const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+    let result = '';
+    let i = 0;
+
+    while (i < bytes.length) {
+      const a = bytes[i++];
+      const b = i < bytes.length ? bytes[i++] : 0;
+      const c = i < bytes.length ? bytes[i++] : 0;
+
+      result += chars[a >> 2];
+      result += chars[((a & 3) << 4) | (b >> 4)];
+      result += i - 2 < bytes.length ? chars[((b & 15) << 2) | (c >> 6)] : '=';
+      result += i - 1 < bytes.length ? chars[c & 63] : '=';
+    }
+
+    return result;
+  } catch (e) {
+    throw new Error(`Base64 编码失败: ${e.message}`);
+  }
+}
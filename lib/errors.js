@@ -0,0 +1,194 @@
+/**
+ * OpenAI 风格的错误响应
+ *
+ * @description 各路由共用的错误响应格式 { error: { message, type, param, code } }：
+ * 错误类型由 HTTP 状态码决定；上游服务与 Token 获取失败映射为对应的状态码与错误码，
+ * 并转发 Retry-After。响应中只有在设置了 DEBUG 环境变量时才附带堆栈。
+ */
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+// Token 获取失败时 lib/endpoint.js 设置的错误码
+export const TOKEN_ERROR_CODE = "token_unavailable";
+
+// =================================================================================
+// 错误响应
+// =================================================================================
+
+/**
+ * 生成错误响应
+ * @param {string} message - 错误消息
+ * @param {number} status - HTTP 状态码
+ * @param {string|null} [code] - 错误代码
+ * @param {Object} [options] - 可选项
+ * @param {string|null} [options.param] - 出错的请求参数
+ * @param {string} [options.type] - 错误类型，默认按状态码确定
+ * @param {number|null} [options.retryAfter] - 写入 Retry-After 的秒数
+ * @param {string} [options.stack] - 错误堆栈，仅在调试模式下传入
+ * @returns {Response} 错误响应
+ */
+export function errorResponse(message, status, code = null, { param = null, type = errorType(status), retryAfter = null, stack } = {}) {
+  const headers = { "Content-Type": "application/json", "Access-Control-Allow-Origin": "*" };
+  if (retryAfter !== null && retryAfter !== undefined) headers["Retry-After"] = String(Math.ceil(retryAfter));
+
+  return new Response(JSON.stringify({
+    error: { message, type, param, code, ...(stack ? { stack } : {}) }
+  }), { status, headers });
+}
+
+/**
+ * 把参数校验错误转换为 400 响应
+ * @param {Error} error - 带 error.param 的校验错误
+ * @returns {Response} 错误响应
+ */
+export function paramErrorResponse(error) {
+  return errorResponse(error.message, 400, error.code || "invalid_request_error", { param: error.param ?? null });
+}
+
+/**
+ * 把认证或限额错误（lib/auth.js 抛出）转换为响应，429 时附带 Retry-After
+ * @param {Error} error - 带 status / code / retryAfter 的错误
+ * @returns {Response} 错误响应
+ */
+export function authErrorResponse(error) {
+  return errorResponse(error.message, error.status || 401, error.code || "invalid_api_key", {
+    param: error.param ?? null,
+    retryAfter: error.retryAfter
+  });
+}
+
+/**
+ * 把上游合成失败转换为响应
+ *
+ * 上游错误按下表映射：
+ * - Token 获取失败 -> 503 token_unavailable
+ * - 上游 400 等请求错误 -> 400 upstream_rejected
+ * - 上游 401 / 403（服务自身的凭据问题，而非调用方） -> 502 upstream_auth_failed
+ * - 上游 408 / 504 -> 504 upstream_timeout
+ * - 上游 429 -> 429 upstream_rate_limited
+ * - 上游 503 -> 503 upstream_unavailable，其他 5xx -> 502 upstream_error
+ * - 无状态码（网络错误、连接中断） -> 502 upstream_unreachable
+ *
+ * @param {Error} error - lib/synthesis.js 抛出的错误，上游错误带 error.upstream
+ * @param {string} message - 响应中的错误消息
+ * @returns {Response} 错误响应
+ * @throws {Error} 不是上游错误时原样抛出，由路由按内部错误处理
+ */
+export function upstreamErrorResponse(error, message) {
+  if (!error.upstream) throw error;
+  if (error.param) return paramErrorResponse(error);
+
+  const { status, code } = classifyUpstreamError(error);
+  return errorResponse(message, status, code, { retryAfter: status === 429 || status === 503 ? error.retryAfter : null });
+}
+
+/**
+ * 把合成失败转换为错误对象 { message, type, param, code }，用于响应已开始、无法再改变状态码的场景（如 SSE 流）
+ *
+ * 上游错误与 upstreamErrorResponse 使用相同的错误码，其他错误视为内部错误。
+ *
+ * @param {Error} error - 合成过程中抛出的错误
+ * @param {string} message - 错误消息
+ * @returns {{message: string, type: string, param: string|null, code: string}} 错误对象
+ */
+export function describeError(error, message) {
+  if (error.upstream && error.param) {
+    return { message, type: errorType(400), param: error.param, code: error.code || "invalid_request_error" };
+  }
+  if (error.upstream) {
+    const { status, code } = classifyUpstreamError(error);
+    return { message, type: errorType(status), param: null, code };
+  }
+  return { message, type: errorType(500), param: null, code: "internal_server_error" };
+}
+
+/**
+ * 在错误响应体中写入请求 ID（error.request_id），其他响应原样返回
+ * @param {Response} response - 响应对象
+ * @param {string} requestId - 请求 ID
+ * @returns {Promise<{response: Response, error: Object|null}>} 处理后的响应及其中的错误对象
+ */
+export async function attachRequestId(response, requestId) {
+  if (response.ok || response.headers.get("Content-Type") !== "application/json") return { response, error: null };
+  const body = await response.json();
+  const error = body && typeof body.error === "object" ? body.error : null;
+  if (error) error.request_id = requestId;
+  return {
+    response: new Response(JSON.stringify(body), { status: response.status, headers: response.headers }),
+    error
+  };
+}
+
+/**
+ * 为响应补全路由的 CORS 头，已设置的头保持不变
+ *
+ * 本模块生成的错误响应只带 Access-Control-Allow-Origin，路由返回前用它补全
+ * Allow-Methods / Allow-Headers / Max-Age，使错误响应与成功响应的 CORS 头一致。
+ *
+ * @param {Response} response - 响应对象
+ * @param {Object} corsHeaders - 路由的 CORS 头
+ * @returns {Response} 同一个响应对象
+ */
+export function applyCORSHeaders(response, corsHeaders) {
+  for (const [name, value] of Object.entries(corsHeaders)) {
+    if (!response.headers.has(name)) response.headers.set(name, value);
+  }
+  return response;
+}
+
+/**
+ * 把未预期的异常转换为 500 响应，堆栈只在 DEBUG 开启时返回
+ * @param {Error} error - 异常
+ * @param {string} message - 响应中的错误消息
+ * @param {Object} [env] - 环境变量
+ * @returns {Response} 错误响应
+ */
+export function internalErrorResponse(error, message, env = {}) {
+  return errorResponse(message, 500, "internal_server_error", { stack: isDebug(env) ? error.stack : undefined });
+}
+
+// =================================================================================
+// 内部工具函数
+// =================================================================================
+
+/**
+ * 按 HTTP 状态码确定错误类型
+ * @param {number} status - HTTP 状态码
+ * @returns {string} 错误类型
+ */
+function errorType(status) {
+  if (status === 401) return "authentication_error";
+  if (status === 403) return "permission_error";
+  if (status === 429) return "rate_limit_error";
+  if (status >= 500) return "server_error";
+  return "invalid_request_error";
+}
+
+/**
+ * 按上游状态码确定响应状态码与错误码
+ * @param {Error} error - 上游错误（error.status 为上游 HTTP 状态码）
+ * @returns {{status: number, code: string}} 响应状态码与错误码
+ */
+function classifyUpstreamError(error) {
+  const upstream = error.status;
+  if (error.code === TOKEN_ERROR_CODE) return { status: 503, code: TOKEN_ERROR_CODE };
+  if (upstream === undefined || upstream === null) return { status: 502, code: "upstream_unreachable" };
+  if (upstream === 401 || upstream === 403) return { status: 502, code: "upstream_auth_failed" };
+  if (upstream === 408 || upstream === 504) return { status: 504, code: "upstream_timeout" };
+  if (upstream === 429) return { status: 429, code: "upstream_rate_limited" };
+  if (upstream === 503) return { status: 503, code: "upstream_unavailable" };
+  if (upstream >= 500) return { status: 502, code: "upstream_error" };
+  return { status: 400, code: "upstream_rejected" };
+}
+
+/**
+ * 是否开启调试模式
+ * @param {Object} env - 环境变量
+ * @returns {boolean} DEBUG 设置为非空且不为 false / 0 时返回 true
+ */
+function isDebug(env) {
+  const value = String(env.DEBUG ?? "").toLowerCase();
+  return value !== "" && value !== "false" && value !== "0";
+}
@@ -0,0 +1,344 @@
+/**
+ * 异步长文本合成任务
+ *
+ * @description 长文本在单次请求内可能超出边缘函数的执行时间限制。任务 API 把合成计划
+ * 与已完成文本块的音频保存到可插拔的存储中，每次推进只在时间预算内合成一部分文本块，
+ * 失败或中断后从最后一个已完成的文本块继续。默认使用运行实例内存中的存储，
+ * 也可以通过 setJobStore 注入自定义实现（如 KV）。
+ *
+ * 字符配额与语音合成接口一致：创建任务时扣除，任务失败时退还未完成文本块的字符，重试时重新扣除。
+ */
+
+import { fetchChunkAudio, assembleAudio, chunkText } from "./synthesis.js";
+import { getRetryPolicy } from "./retry.js";
+import { getAudioCache } from "./cache.js";
+import { getAudioDuration } from "./audio.js";
+import { resolveProviders } from "./providers.js";
+import { getApiKeys, chargeSpeech, refundUsage } from "./auth.js";
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+const DEFAULT_JOB_TTL = 24 * 60 * 60;      // 任务及其音频的保留时间（秒）
+const DEFAULT_SLICE_MS = 20000;            // 单次推进的时间预算（毫秒）
+
+// 自定义存储，优先于内存实现
+let customStore = null;
+// 内存存储实例，在同一运行实例内的请求间共享
+let memoryStore = null;
+
+/**
+ * @typedef {Object} JobStore
+ * @property {function(string): Promise<Object|null>} get - 读取任务
+ * @property {function(Object, number): Promise<void>} put - 保存任务，第二个参数为 TTL（秒）
+ * @property {function(string, number): Promise<Uint8Array|null>} getAudio - 读取任务第 n 个文本块的音频
+ * @property {function(string, number, Uint8Array, number): Promise<void>} putAudio - 保存文本块音频，最后一个参数为 TTL（秒）
+ */
+
+/**
+ * 注入自定义任务存储
+ * @param {JobStore|null} store - 存储实现，传入 null 恢复默认
+ */
+export function setJobStore(store) {
+  customStore = store;
+}
+
+/**
+ * 获取任务存储
+ * @returns {JobStore} 存储
+ */
+function getJobStore() {
+  if (customStore) return customStore;
+  if (!memoryStore) memoryStore = createMemoryStore();
+  return memoryStore;
+}
+
+/**
+ * 读取任务相关的环境变量
+ * @param {Object} [env] - 环境变量，支持 JOB_TTL（秒）与 JOB_SLICE_MS（毫秒）
+ * @returns {{ttl: number, sliceMs: number}} 任务设置
+ */
+function getJobSettings(env = {}) {
+  return {
+    ttl: Number(env.JOB_TTL) || DEFAULT_JOB_TTL,
+    sliceMs: Number(env.JOB_SLICE_MS) || DEFAULT_SLICE_MS
+  };
+}
+
+// =================================================================================
+// 任务生命周期
+// =================================================================================
+
+/**
+ * 创建任务
+ * @param {Object} plan - prepareSpeech 返回的合成计划
+ * @param {Object} options - 任务选项 { owner: 创建者的密钥名称, concurrency, cache: 是否使用音频缓存, xingHeader: mp3 是否写入 Info 帧 }
+ * @param {Object} [env] - 环境变量
+ * @returns {Promise<Object>} 任务记录
+ */
+export async function createJob(plan, options, env = {}) {
+  const now = Date.now();
+  const job = {
+    id: `job_${crypto.randomUUID().replace(/-/g, "")}`,
+    status: "queued",
+    owner: options.owner ?? null,
+    created_at: now,
+    updated_at: now,
+    completed_at: null,
+    completed_chunks: 0,
+    total_chunks: plan.textChunks.length,
+    attempts: 0,
+    error: null,
+    lease_until: 0,
+    concurrency: options.concurrency,
+    cache: options.cache,
+    xing_header: options.xingHeader !== false,
+    plan: { textChunks: plan.textChunks, ttsArgs: plan.ttsArgs, format: plan.format }
+  };
+  await getJobStore().put(job, getJobSettings(env).ttl);
+  return job;
+}
+
+/**
+ * 读取任务
+ * @param {string} id - 任务 ID
+ * @returns {Promise<Object|null>} 任务记录，不存在或已过期时返回 null
+ */
+export async function getJob(id) {
+  return getJobStore().get(id);
+}
+
+/**
+ * 判断密钥能否访问任务：创建者本人、管理员密钥或未启用认证时可访问
+ * @param {Object} job - 任务记录
+ * @param {Object|null} apiKey - 当前密钥
+ * @returns {boolean} 是否可访问
+ */
+export function canAccessJob(job, apiKey) {
+  return !apiKey || apiKey.admin || !job.owner || job.owner === apiKey.name;
+}
+
+/**
+ * 安排推进任务：运行时支持 waitUntil 时在后台进行并立即返回，否则在当前请求内推进一段
+ * @param {Object} context - EdgeOne Pages 上下文对象
+ * @param {string} id - 任务 ID
+ * @returns {Promise<void>}
+ */
+export async function scheduleJob(context, id) {
+  const work = advanceJob(id, context.env)
+    .catch(error => console.error(`任务 ${id} 推进失败: ${error.message}`));
+  if (typeof context.waitUntil === "function") {
+    context.waitUntil(work);
+  } else {
+    await work;
+  }
+}
+
+/**
+ * 将失败的任务重新排队，保留已完成的文本块，并向创建者的密钥重新扣除未完成文本块的字符
+ *
+ * 只接受 failed 状态的任务：排队或运行中的任务可能有推进者持有租约，
+ * 清除租约会让两个推进者同时写入同一位置的文本块。
+ *
+ * @param {Object} job - 任务记录
+ * @param {Object} [env] - 环境变量
+ * @returns {Promise<Object>} 更新后的任务记录
+ * @throws {Error} 任务不是 failed 状态时抛出，error.status 为 409，
+ *   error.code 为 job_already_completed 或 job_not_failed；配额不足时 error.status 为 429
+ */
+export async function requeueJob(job, env = {}) {
+  if (job.status !== "failed") {
+    const completed = job.status === "completed";
+    const error = new Error(completed ? `任务 ${job.id} 已完成，无需重试` : `任务 ${job.id} 当前为 ${job.status} 状态，只能重试失败的任务`);
+    error.status = 409;
+    error.code = completed ? "job_already_completed" : "job_not_failed";
+    throw error;
+  }
+  chargeSpeech(getJobOwnerKey(job, env), { characters: remainingCharacters(job) });
+  job.status = "queued";
+  job.error = null;
+  job.lease_until = 0;
+  job.updated_at = Date.now();
+  await getJobStore().put(job, getJobSettings(env).ttl);
+  return job;
+}
+
+/**
+ * 在时间预算内推进任务：从最后一个已完成的文本块继续，每批并发合成一个窗口
+ *
+ * 同一任务同时只会有一个推进者（通过租约判断）；预算用完时保持 running 状态，
+ * 由下一次查询或重试继续。批次中有文本块最终失败时，之前连续成功的文本块仍会保存。
+ *
+ * @param {string} id - 任务 ID
+ * @param {Object} [env] - 环境变量
+ * @returns {Promise<Object|null>} 推进后的任务记录
+ */
+async function advanceJob(id, env = {}) {
+  const store = getJobStore();
+  const { ttl, sliceMs } = getJobSettings(env);
+  const job = await store.get(id);
+  if (!job || job.status === "completed" || job.status === "failed") return job;
+
+  const now = Date.now();
+  if (job.lease_until > now) return job;
+
+  const deadline = now + sliceMs;
+  job.status = "running";
+  job.attempts++;
+  job.lease_until = deadline + sliceMs;
+  await store.put(job, ttl);
+
+  const { textChunks, ttsArgs } = job.plan;
+  const total = textChunks.length;
+  const synthOptions = {
+    retryPolicy: getRetryPolicy(env),
+    cache: job.cache === false ? null : getAudioCache(env),
+    cacheStats: { hits: 0, misses: 0 },
+    upstream: resolveProviders(env)
+  };
+  const windowSize = Math.max(1, Number(job.concurrency) || 1);
+
+  while (job.completed_chunks < total && Date.now() < deadline) {
+    const start = job.completed_chunks;
+    const batch = textChunks.slice(start, start + windowSize);
+    const results = await Promise.allSettled(
+      batch.map((chunk, offset) => fetchChunkAudio(chunk, start + offset, total, synthOptions, ...ttsArgs))
+    );
+
+    for (const result of results) {
+      if (result.status === "rejected") {
+        job.status = "failed";
+        job.error = { message: result.reason.message };
+        break;
+      }
+      await store.putAudio(job.id, job.completed_chunks, result.value, ttl);
+      job.completed_chunks++;
+    }
+
+    job.updated_at = Date.now();
+    if (job.status === "failed") break;
+    await store.put(job, ttl);
+  }
+
+  if (job.completed_chunks >= total) {
+    job.status = "completed";
+    job.completed_at = Date.now();
+  }
+  job.lease_until = 0;
+  job.updated_at = Date.now();
+  await store.put(job, ttl);
+  if (job.status === "failed") {
+    refundUsage(getJobOwnerKey(job, env), { characters: remainingCharacters(job) });
+  }
+  return job;
+}
+
+/**
+ * 计算任务中尚未完成的文本块的字符数
+ * @param {Object} job - 任务记录
+ * @returns {number} 字符数
+ */
+function remainingCharacters(job) {
+  return job.plan.textChunks
+    .slice(job.completed_chunks)
+    .reduce((sum, chunk) => sum + chunkText(chunk).length, 0);
+}
+
+/**
+ * 查找任务创建者的密钥，用于扣除与退还字符配额
+ * @param {Object} job - 任务记录
+ * @param {Object} env - 环境变量
+ * @returns {Object|null} 密钥，未启用认证或密钥已移除时返回 null
+ */
+function getJobOwnerKey(job, env) {
+  if (!job.owner) return null;
+  return getApiKeys(env).find(key => key.name === job.owner) ?? null;
+}
+
+/**
+ * 拼接已完成任务的音频
+ * @param {Object} job - 已完成的任务记录
+ * @returns {Promise<{audio: Blob, duration: number}>} 完整音频及其时长（秒）
+ * @throws {Error} 存储中缺少某个文本块的音频（已过期或被清除）时抛出，error.status 为 410，error.code 为 job_audio_expired
+ */
+export async function getJobAudio(job) {
+  const store = getJobStore();
+  const audioChunks = [];
+  for (let i = 0; i < job.total_chunks; i++) {
+    const bytes = await store.getAudio(job.id, i);
+    if (!bytes) {
+      const error = new Error(`任务 ${job.id} 缺少第 ${i + 1} 个文本块的音频，可能已过期，请重新创建任务`);
+      error.status = 410;
+      error.code = "job_audio_expired";
+      throw error;
+    }
+    audioChunks.push(bytes);
+  }
+  const { format } = job.plan;
+  return {
+    audio: assembleAudio(audioChunks, format, { xingHeader: job.xing_header !== false }),
+    duration: audioChunks.reduce((sum, bytes) => sum + getAudioDuration(bytes, format), 0)
+  };
+}
+
+/**
+ * 生成对外展示的任务信息
+ * @param {Object} job - 任务记录
+ * @returns {Object} 任务状态（不含合成计划等内部字段）
+ */
+export function describeJob(job) {
+  return {
+    id: job.id,
+    object: "audio.job",
+    status: job.status,
+    created_at: Math.floor(job.created_at / 1000),
+    completed_at: job.completed_at ? Math.floor(job.completed_at / 1000) : null,
+    completed_chunks: job.completed_chunks,
+    total_chunks: job.total_chunks,
+    progress: job.total_chunks ? job.completed_chunks / job.total_chunks : 1,
+    response_format: job.plan.format.name,
+    error: job.error,
+    download_url: job.status === "completed" ? `/api/v1/audio/jobs/${job.id}/content` : null
+  };
+}
+
+// =================================================================================
+// 存储实现
+// =================================================================================
+
+/**
+ * 内存任务存储，过期条目在写入时清理
+ * @returns {JobStore} 存储
+ */
+function createMemoryStore() {
+  const jobs = new Map();   // 任务 ID -> { job, expiresAt }
+  const audio = new Map();  // 任务 ID -> 文本块序号 -> 音频
+
+  const prune = () => {
+    const now = Date.now();
+    for (const [id, entry] of jobs) {
+      if (entry.expiresAt > now) continue;
+      jobs.delete(id);
+      audio.delete(id);
+    }
+  };
+
+  return {
+    async get(id) {
+      const entry = jobs.get(id);
+      return entry && entry.expiresAt > Date.now() ? entry.job : null;
+    },
+    async put(job, ttl) {
+      prune();
+      jobs.set(job.id, { job, expiresAt: Date.now() + ttl * 1000 });
+    },
+    async getAudio(id, index) {
+      return audio.get(id)?.get(index) ?? null;
+    },
+    async putAudio(id, index, bytes) {
+      if (!audio.has(id)) audio.set(id, new Map());
+      audio.get(id).set(index, bytes);
+    }
+  };
+}
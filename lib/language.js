@@ -0,0 +1,198 @@
+/**
+ * 多语言文本的语言识别与音色切换
+ *
+ * @description 按文字系统（汉字、假名、谚文、拉丁字母）把中英混排等文本切分为单一语言的片段，
+ * 每个片段使用该语言配置的音色朗读。数字、标点、空白与 SSML 标签不单独成段，跟随前一个片段
+ * （开始标签跟随后一个片段，与其包裹的内容在一起）。夹在其他语言中的英文单词（如品牌名、缩写）同样单独成段，
+ * 保证每个片段只包含一种语言。
+ */
+
+import { resolveSpeaker } from "./voices.js";
+import { TAG_PATTERN } from "./chunker.js";
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+// 各语言的默认音色，可被 LANGUAGE_VOICES 环境变量与请求中的 auto_language 覆盖
+const DEFAULT_LANGUAGE_VOICES = {
+  zh: "zh-CN-XiaoxiaoNeural",
+  en: "en-US-JennyNeural",
+  ja: "ja-JP-NanamiNeural",
+  ko: "ko-KR-SunHiNeural"
+};
+
+// 依次匹配：汉字、假名、谚文、拉丁字母单词、其他字符（数字、标点、空白等）
+const TOKEN_PATTERN = /(\p{Script=Han}+)|([\p{Script=Hiragana}\p{Script=Katakana}ー]+)|(\p{Script=Hangul}+)|(\p{Script=Latin}[\p{Script=Latin}'’-]*)|([^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}\p{Script=Latin}]+)/gu;
+
+// =================================================================================
+// 音色配置
+// =================================================================================
+
+/**
+ * 解析各语言使用的音色
+ *
+ * 优先级: 请求中的 auto_language 映射 > LANGUAGE_VOICES 环境变量 > 请求音色（用于其所属语言）> 内置默认值。
+ *
+ * @param {boolean|Object} option - 请求中的 auto_language，true 或 { 语言: 音色 } 映射，如 { "en": "en-US-GuyNeural" }
+ * @param {string} defaultVoice - 请求解析出的 Microsoft 音色
+ * @param {Object} [env] - 环境变量
+ * @returns {Object} 语言代码 -> Microsoft 音色名称
+ * @throws {Error} 映射无效时抛出，error.param 为 auto_language
+ */
+export function resolveLanguageVoices(option, defaultVoice, env = {}) {
+  if (option !== true && (!option || typeof option !== "object" || Array.isArray(option))) {
+    throw paramError("auto_language 必须是 true 或 { 语言: 音色 } 形式的对象");
+  }
+
+  const voices = {
+    ...DEFAULT_LANGUAGE_VOICES,
+    [languageOfVoice(defaultVoice)]: defaultVoice,
+    ...getConfiguredVoices(env)
+  };
+
+  for (const [language, voice] of Object.entries(option === true ? {} : option)) {
+    if (typeof voice !== "string" || !voice) {
+      throw paramError(`auto_language 中语言 '${language}' 的音色必须是字符串`);
+    }
+    voices[language.toLowerCase()] = voice;
+  }
+
+  const resolved = {};
+  for (const [language, voice] of Object.entries(voices)) {
+    try {
+      resolved[language] = resolveSpeaker(voice, env);
+    } catch (error) {
+      throw paramError(`auto_language 中语言 '${language}' 的音色无效: ${error.message}`);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * 从音色名称中提取语言区域，如 zh-CN-XiaoxiaoNeural -> zh-CN
+ * @param {string} voiceName - Microsoft 音色名称
+ * @returns {string} 语言区域
+ */
+export function localeOfVoice(voiceName) {
+  return voiceName.split("-").slice(0, 2).join("-");
+}
+
+// =================================================================================
+// 文本切分
+// =================================================================================
+
+/**
+ * 按语言切分文本
+ * @param {string} text - 已清理的文本
+ * @param {string[]} languages - 已配置音色的语言代码，未配置的语言跟随相邻片段
+ * @returns {Array<{language: string|null, text: string}>} 按原文顺序排列的片段，language 为 null 表示未识别出语言
+ */
+export function splitByLanguage(text, languages) {
+  const enabled = new Set(languages);
+  const tokens = tokenize(text);
+
+  // 相同语言的连续字符合并为片段，无语言的字符跟随前一个片段；
+  // 开始标签及其后的无语言字符暂存，并入下一个有语言的片段
+  const runs = [];
+  let pending = "";
+  for (const token of tokens) {
+    const language = token.language && enabled.has(token.language) ? token.language : null;
+    const current = runs[runs.length - 1];
+    if (!language) {
+      if (current && !pending && !token.opening) current.text += token.text;
+      else pending += token.text;
+      continue;
+    }
+    if (current && current.language === language) {
+      current.text += pending + token.text;
+    } else {
+      runs.push({ language, text: pending + token.text });
+    }
+    pending = "";
+  }
+  if (runs.length === 0) return text.trim() ? [{ language: null, text }] : [];
+  runs[runs.length - 1].text += pending;
+
+  return runs
+    .map(({ language, text }) => ({ language, text: text.trim() }))
+    .filter(run => run.text);
+}
+
+/**
+ * 把文本切分为带语言的记号，汉字与相邻假名一起视为日文
+ *
+ * SSML 标签（含 say-as 及其内容）先被整体取出，作为无语言的记号，不会被当作英文单词拆开。
+ *
+ * @param {string} text - 文本
+ * @returns {Array<{language: string|null, text: string, opening?: boolean}>} 记号列表，opening 表示开始标签
+ */
+function tokenize(text) {
+  const tokens = text.split(TAG_PATTERN).flatMap(part => {
+    if (!part) return [];
+    if (TAG_PATTERN.test(part)) {
+      return [{ language: null, text: part, opening: /^<[^/!?]/.test(part) && !/\/>$/.test(part) && !/<\//.test(part) }];
+    }
+    return [...part.matchAll(TOKEN_PATTERN)].map(([match, han, kana, hangul, latin]) => ({
+      language: han ? "han" : kana ? "ja" : hangul ? "ko" : latin ? "en" : null,
+      text: match
+    }));
+  });
+
+  // 汉字按前后最近的有语言记号判断：紧邻假名时属于日文，否则为中文
+  const nearest = (index, step) => {
+    for (let i = index + step; i >= 0 && i < tokens.length; i += step) {
+      if (tokens[i].language && tokens[i].language !== "han") return tokens[i].language;
+    }
+    return null;
+  };
+  tokens.forEach((token, index) => {
+    if (token.language !== "han") return;
+    token.language = nearest(index, -1) === "ja" || nearest(index, 1) === "ja" ? "ja" : "zh";
+  });
+  return tokens;
+}
+
+// =================================================================================
+// 内部工具函数
+// =================================================================================
+
+/**
+ * 读取 LANGUAGE_VOICES 环境变量
+ * @param {Object} env - 环境变量，LANGUAGE_VOICES 为 { 语言: 音色 } 形式的 JSON
+ * @returns {Object} 语言代码 -> 音色
+ */
+function getConfiguredVoices(env) {
+  if (!env.LANGUAGE_VOICES) return {};
+  try {
+    const parsed = typeof env.LANGUAGE_VOICES === "string" ? JSON.parse(env.LANGUAGE_VOICES) : env.LANGUAGE_VOICES;
+    const voices = {};
+    for (const [language, voice] of Object.entries(parsed || {})) {
+      if (typeof voice === "string" && voice) voices[language.toLowerCase()] = voice;
+    }
+    return voices;
+  } catch (error) {
+    console.warn(`LANGUAGE_VOICES 解析失败，使用内置音色: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * 根据音色名称判断其语言代码
+ * @param {string} voiceName - Microsoft 音色名称
+ * @returns {string} 语言代码，如 zh、en
+ */
+function languageOfVoice(voiceName) {
+  return voiceName.split("-")[0].toLowerCase();
+}
+
+/**
+ * 生成 auto_language 的校验错误
+ * @param {string} message - 错误消息
+ * @returns {Error} 错误对象
+ */
+function paramError(message) {
+  const error = new Error(message);
+  error.param = "auto_language";
+  return error;
+}
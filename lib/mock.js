@@ -0,0 +1,287 @@
+/**
+ * 离线模拟合成后端
+ *
+ * @description 设置 TTS_BACKEND=mock 后不再请求微软端点，而是按文本长度（与语速、<break> 停顿）
+ * 生成请求格式的合法音频：裸 PCM 为正弦提示音，MP3 / Opus 为静音帧。
+ * 可通过环境变量注入延迟与 429 / 5xx 错误，用于在离线环境或 CI 中验证分块、清理、流式与重试逻辑。
+ */
+
+import { MP3_BITRATES, MP3_SAMPLE_RATES, writeAscii, concatBytes } from "./audio.js";
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+const CJK_SECONDS = 0.25;       // 每个汉字、假名、谚文的朗读时长
+const LATIN_SECONDS = 0.06;     // 每个字母或数字的朗读时长
+const MIN_SECONDS = 0.1;        // 单个文本块的最短时长
+const TONE_FREQUENCY = 440;     // 裸 PCM 提示音频率（Hz）
+const TONE_AMPLITUDE = 0.1;     // 裸 PCM 提示音振幅（相对满幅）
+const OPUS_FRAME_SECONDS = 0.02;
+const OPUS_SILENT_PACKET = [0xF8, 0xFF, 0xFE];  // 单声道 CELT 20ms 静音包
+const OPUS_PACKETS_PER_PAGE = 50;
+
+/**
+ * 读取模拟后端配置（仅在 TTS_BACKEND=mock 时启用）
+ * @param {Object} [env] - 环境变量
+ * @returns {Object|null} 模拟后端配置，未启用时返回 null
+ */
+export function getMockBackend(env = {}) {
+  return String(env.TTS_BACKEND || "").toLowerCase() === "mock" ? getMockOptions(env) : null;
+}
+
+/**
+ * 读取模拟合成的延迟与错误注入配置
+ * @param {Object} [env] - 环境变量: TTS_MOCK_LATENCY_MS（如 200 或 100-500）、
+ *   TTS_MOCK_429_RATE、TTS_MOCK_5XX_RATE（0~1 的概率）、TTS_MOCK_RETRY_AFTER（秒）
+ * @returns {Object} 模拟合成配置
+ */
+export function getMockOptions(env = {}) {
+  const [minLatency, maxLatency = minLatency] = String(env.TTS_MOCK_LATENCY_MS || "0")
+    .split("-")
+    .map(value => Math.max(0, Number(value) || 0));
+  const rate = name => Math.min(1, Math.max(0, Number(env[name]) || 0));
+
+  return {
+    latencyMs: [minLatency, Math.max(minLatency, maxLatency)],
+    rate429: rate("TTS_MOCK_429_RATE"),
+    rate5xx: rate("TTS_MOCK_5XX_RATE"),
+    retryAfter: env.TTS_MOCK_RETRY_AFTER !== undefined ? Number(env.TTS_MOCK_RETRY_AFTER) : null
+  };
+}
+
+// =================================================================================
+// 模拟合成
+// =================================================================================
+
+/**
+ * 模拟合成单个文本块
+ * @param {string} ssml - 文本块最终的 SSML
+ * @param {string} outputFormat - Microsoft 输出格式，如 audio-24khz-48kbitrate-mono-mp3
+ * @param {Object} mock - getMockBackend 返回的配置
+ * @param {AbortSignal} [signal] - 中止信号，与真实请求一样可中断注入的延迟
+ * @returns {Promise<Uint8Array>} 音频数据
+ * @throws {Error} 注入错误时抛出，error.status / error.retryAfter 与真实上游错误一致；被中止时抛出 signal.reason
+ */
+export async function getMockAudioChunk(ssml, outputFormat, mock, signal) {
+  const [minLatency, maxLatency] = mock.latencyMs;
+  const latency = minLatency + Math.random() * (maxLatency - minLatency);
+  if (latency > 0) await delay(latency, signal);
+
+  const roll = Math.random();
+  if (roll < mock.rate429) {
+    throw mockError(429, "Too Many Requests", mock.retryAfter);
+  }
+  if (roll < mock.rate429 + mock.rate5xx) {
+    throw mockError(503, "Service Unavailable", mock.retryAfter);
+  }
+
+  const seconds = estimateDuration(ssml);
+  const [, value, unit] = outputFormat.match(/-(\d+)(khz|hz)-/);
+  const sampleRate = unit === "khz" ? Number(value) * 1000 : Number(value);
+
+  if (outputFormat.startsWith("raw-")) return pcmTone(sampleRate, seconds);
+  if (outputFormat.startsWith("ogg-")) return oggOpusSilence(sampleRate, seconds);
+
+  const [, kbps] = outputFormat.match(/-(\d+)kbitrate-/) || [];
+  return mp3Silence(sampleRate, Number(kbps), seconds);
+}
+
+/**
+ * 按 SSML 中的文本、语速与 <break> 停顿估算朗读时长
+ * @param {string} ssml - SSML 文档
+ * @returns {number} 时长（秒）
+ */
+function estimateDuration(ssml) {
+  const text = ssml.replace(/<[^>]+>/g, " ");
+  const cjk = (text.match(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/gu) || []).length;
+  const latin = (text.match(/[\p{L}\p{N}]/gu) || []).length - cjk;
+
+  let pauses = 0;
+  for (const [, value, unit] of ssml.matchAll(/<break\b[^>]*\btime="([\d.]+)(ms|s)"/g)) {
+    pauses += unit === "ms" ? Number(value) / 1000 : Number(value);
+  }
+
+  const [, rate = "0"] = ssml.match(/<prosody\b[^>]*\brate="(-?[\d.]+)%"/) || [];
+  const speed = Math.max(0.25, 1 + Number(rate) / 100);
+  return Math.max(MIN_SECONDS, (cjk * CJK_SECONDS + latin * LATIN_SECONDS) / speed + pauses);
+}
+
+// =================================================================================
+// 音频生成
+// =================================================================================
+
+/**
+ * 生成 16bit 单声道正弦提示音
+ * @param {number} sampleRate - 采样率
+ * @param {number} seconds - 时长（秒）
+ * @returns {Uint8Array} 裸 PCM 数据
+ */
+function pcmTone(sampleRate, seconds) {
+  const samples = Math.round(seconds * sampleRate);
+  const bytes = new Uint8Array(samples * 2);
+  const view = new DataView(bytes.buffer);
+  for (let i = 0; i < samples; i++) {
+    const value = Math.sin(2 * Math.PI * TONE_FREQUENCY * i / sampleRate) * TONE_AMPLITUDE * 0x7FFF;
+    view.setInt16(i * 2, Math.round(value), true);
+  }
+  return bytes;
+}
+
+/**
+ * 生成 MP3 静音帧（帧头按采样率与码率构造，边信息与主数据全零）
+ * @param {number} sampleRate - 采样率
+ * @param {number} kbps - 码率
+ * @param {number} seconds - 时长（秒）
+ * @returns {Uint8Array} MP3 数据
+ */
+function mp3Silence(sampleRate, kbps, seconds) {
+  const version = MP3_SAMPLE_RATES[1].includes(sampleRate) ? 1 : 2;
+  const bitrateIndex = MP3_BITRATES[version].indexOf(kbps);
+  const sampleRateIndex = MP3_SAMPLE_RATES[version].indexOf(sampleRate);
+  const samplesPerFrame = version === 1 ? 1152 : 576;
+  const frameSize = Math.floor(samplesPerFrame / 8 * kbps * 1000 / sampleRate);
+
+  const frame = new Uint8Array(frameSize);
+  // 同步字 + MPEG 版本 + Layer III + 无 CRC；码率 / 采样率；单声道
+  frame[0] = 0xFF;
+  frame[1] = version === 1 ? 0xFB : 0xF3;
+  frame[2] = (bitrateIndex << 4) | (sampleRateIndex << 2);
+  frame[3] = 0xC0;
+
+  const frameCount = Math.max(1, Math.round(seconds * sampleRate / samplesPerFrame));
+  const out = new Uint8Array(frameSize * frameCount);
+  for (let i = 0; i < frameCount; i++) out.set(frame, i * frameSize);
+  return out;
+}
+
+/**
+ * 生成单个逻辑流的 Ogg Opus 静音（OpusHead、OpusTags 与若干静音包）
+ * @param {number} sampleRate - 原始采样率（仅写入 OpusHead）
+ * @param {number} seconds - 时长（秒）
+ * @returns {Uint8Array} Ogg Opus 数据
+ */
+function oggOpusSilence(sampleRate, seconds) {
+  const serial = (Math.random() * 0x100000000) >>> 0;
+  const packetCount = Math.max(1, Math.round(seconds / OPUS_FRAME_SECONDS));
+  const samplesPerPacket = OPUS_FRAME_SECONDS * 48000;
+
+  const head = new Uint8Array(19);
+  writeAscii(head, 0, "OpusHead");
+  const headView = new DataView(head.buffer);
+  head[8] = 1;                                   // 版本
+  head[9] = 1;                                   // 声道数
+  headView.setUint16(10, 0, true);               // pre-skip
+  headView.setUint32(12, sampleRate, true);      // 原始采样率
+  headView.setInt16(16, 0, true);                // 输出增益
+  head[18] = 0;                                  // 声道映射族
+
+  const vendor = "edgetts-mock";
+  const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+  writeAscii(tags, 0, "OpusTags");
+  new DataView(tags.buffer).setUint32(8, vendor.length, true);
+  writeAscii(tags, 12, vendor);
+
+  const pages = [
+    oggPage([head], { serial, sequence: 0, granule: 0, flags: 0x02 }),
+    oggPage([tags], { serial, sequence: 1, granule: 0, flags: 0 })
+  ];
+  for (let sent = 0; sent < packetCount; sent += OPUS_PACKETS_PER_PAGE) {
+    const count = Math.min(OPUS_PACKETS_PER_PAGE, packetCount - sent);
+    const packets = Array.from({ length: count }, () => Uint8Array.from(OPUS_SILENT_PACKET));
+    const last = sent + count >= packetCount;
+    pages.push(oggPage(packets, {
+      serial,
+      sequence: pages.length,
+      granule: (sent + count) * samplesPerPacket,
+      flags: last ? 0x04 : 0
+    }));
+  }
+  return concatBytes(pages);
+}
+
+/**
+ * 生成一个 Ogg 页（每个包都小于 255 字节）
+ * @param {Uint8Array[]} packets - 页内的完整数据包
+ * @param {Object} page - { serial, sequence, granule, flags }
+ * @returns {Uint8Array} Ogg 页
+ */
+function oggPage(packets, { serial, sequence, granule, flags }) {
+  const bodySize = packets.reduce((sum, packet) => sum + packet.length, 0);
+  const bytes = new Uint8Array(27 + packets.length + bodySize);
+  const view = new DataView(bytes.buffer);
+
+  writeAscii(bytes, 0, "OggS");
+  bytes[4] = 0;                                   // 版本
+  bytes[5] = flags;                               // 0x02 流开始 / 0x04 流结束
+  view.setUint32(6, granule % 0x100000000, true);
+  view.setUint32(10, Math.floor(granule / 0x100000000), true);
+  view.setUint32(14, serial, true);
+  view.setUint32(18, sequence, true);
+  bytes[26] = packets.length;
+  packets.forEach((packet, i) => { bytes[27 + i] = packet.length; });
+
+  let offset = 27 + packets.length;
+  for (const packet of packets) {
+    bytes.set(packet, offset);
+    offset += packet.length;
+  }
+  view.setUint32(22, oggCrc32(bytes), true);
+  return bytes;
+}
+
+// =================================================================================
+// 内部工具函数
+// =================================================================================
+
+let crcTable = null;
+
+/**
+ * Ogg 页校验和（多项式 0x04C11DB7，不反转，初值 0）
+ * @param {Uint8Array} bytes - 校验和字段为 0 的整页数据
+ * @returns {number} CRC32
+ */
+function oggCrc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let r = i << 24;
+      for (let j = 0; j < 8; j++) r = r & 0x80000000 ? (r << 1) ^ 0x04C11DB7 : r << 1;
+      crcTable[i] = r >>> 0;
+    }
+  }
+  let crc = 0;
+  for (const byte of bytes) crc = ((crc << 8) ^ crcTable[((crc >>> 24) ^ byte) & 0xFF]) >>> 0;
+  return crc;
+}
+
+/**
+ * 等待指定时间，中止信号触发时提前以 signal.reason 拒绝
+ * @param {number} ms - 毫秒数
+ * @param {AbortSignal} [signal] - 中止信号
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const timer = setTimeout(resolve, ms);
+    signal?.addEventListener("abort", () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    }, { once: true });
+  });
+}
+
+/**
+ * 生成与上游错误形式一致的注入错误
+ * @param {number} status - HTTP 状态码
+ * @param {string} statusText - 状态文本
+ * @param {number|null} retryAfter - Retry-After 秒数
+ * @returns {Error} 错误对象
+ */
+function mockError(status, statusText, retryAfter) {
+  const error = new Error(`Mock TTS 注入错误: ${status} ${statusText}`);
+  error.status = status;
+  error.retryAfter = Number.isFinite(retryAfter) ? retryAfter : null;
+  return error;
+}
@@ -0,0 +1,495 @@
+/**
+ * 文本规范化（数字、日期、货币、单位等的读法）
+ *
+ * @description 报告类文本中的 "2026-10-18"、"¥1,234.50"、"3.5kg"、"15%"、电话号码等
+ * 常被 Edge 音色读错。本模块按语言（zh-CN / en-US）分别改写为口语读法，
+ * 或在 say-as 模式下为日期、时间、电话和数字包裹 <say-as>。各类规则可单独开关。
+ */
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+// 规则类别，按执行顺序排列：越具体的规则越先执行，通用数字最后
+export const NORMALIZE_CATEGORIES = ["date", "time", "phone", "currency", "percent", "unit", "number"];
+
+// say-as 模式下可交给 <say-as> 的类别，其余类别仍改写为口语读法
+const SAY_AS_CATEGORIES = new Set(["date", "time", "phone", "number"]);
+
+const SUPPORTED_LANGUAGES = ["zh-CN", "en-US"];
+
+// 已有的标签（含 say-as 及其内容）不参与规范化
+const TAG_PATTERN = /(<say-as\b[^>]*>[^<]*<\/say-as>|<[^>]+>)/;
+
+// 数字（可带千分位与小数）
+const NUMBER_SOURCE = String.raw`(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d+))?`;
+
+const PATTERNS = {
+  isoDate: /(?<![\d.])(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?!\d|\.\d)/g,
+  usDate: /(?<![\d/])(\d{1,2})\/(\d{1,2})\/(\d{4})(?![\d/])/g,
+  zhYear: /(?<!\d)(\d{4})(?=年)/g,
+  time: /(?<![\d:])([01]?\d|2[0-3]):([0-5]\d)(?::([0-5]\d))?(?![\d:])/g,
+  zhPhone: /(?<![\d+])(?:(\+?86)[-\s]?)?(1[3-9]\d)[-\s]?(\d{4})[-\s]?(\d{4})(?!\d)|(?<![\d+])(0\d{2,3})-(\d{7,8})(?!\d)/g,
+  enPhone: /(?<![\d+])(?:(\+?1)[-.\s]?)?(?:\((\d{3})\)\s?|(\d{3})[-.\s])(\d{3})[-.\s](\d{4})(?!\d)/g,
+  currency: new RegExp(String.raw`([¥￥$€£])\s?${NUMBER_SOURCE}(?!\d|\.\d)`, "g"),
+  percent: new RegExp(String.raw`(?<![\w.])(-?)${NUMBER_SOURCE}\s?[%％]`, "g"),
+  number: new RegExp(String.raw`(?<![\w.,])${NUMBER_SOURCE}(?![\w]|[.,]\d)`, "g")
+};
+
+// 单位：符号 -> [中文, 英文单数, 英文复数]
+const UNITS = {
+  "km/h": ["公里每小时", "kilometer per hour", "kilometers per hour"],
+  "kWh": ["千瓦时", "kilowatt-hour", "kilowatt-hours"],
+  "km²": ["平方公里", "square kilometer", "square kilometers"],
+  "m²": ["平方米", "square meter", "square meters"],
+  "m³": ["立方米", "cubic meter", "cubic meters"],
+  "°C": ["摄氏度", "degree Celsius", "degrees Celsius"],
+  "℃": ["摄氏度", "degree Celsius", "degrees Celsius"],
+  "°F": ["华氏度", "degree Fahrenheit", "degrees Fahrenheit"],
+  "kg": ["千克", "kilogram", "kilograms"],
+  "mg": ["毫克", "milligram", "milligrams"],
+  "km": ["公里", "kilometer", "kilometers"],
+  "cm": ["厘米", "centimeter", "centimeters"],
+  "mm": ["毫米", "millimeter", "millimeters"],
+  "ml": ["毫升", "milliliter", "milliliters"],
+  "mL": ["毫升", "milliliter", "milliliters"],
+  "kW": ["千瓦", "kilowatt", "kilowatts"],
+  "TB": ["TB", "terabyte", "terabytes"],
+  "GB": ["GB", "gigabyte", "gigabytes"],
+  "MB": ["MB", "megabyte", "megabytes"],
+  "KB": ["KB", "kilobyte", "kilobytes"],
+  "min": ["分钟", "minute", "minutes"],
+  "g": ["克", "gram", "grams"],
+  "m": ["米", "meter", "meters"],
+  "L": ["升", "liter", "liters"],
+  "h": ["小时", "hour", "hours"],
+  "s": ["秒", "second", "seconds"]
+};
+const UNIT_PATTERN = new RegExp(
+  String.raw`(?<![\w.])${NUMBER_SOURCE}\s?(${Object.keys(UNITS).sort((a, b) => b.length - a.length).map(escapeRegExp).join("|")})(?![A-Za-z²³])`,
+  "g"
+);
+
+// 货币：符号 -> { zh, en: [单数, 复数], sub: [单数, 复数] }
+const CURRENCIES = {
+  "¥": { zh: "元", en: ["yuan", "yuan"] },
+  "￥": { zh: "元", en: ["yuan", "yuan"] },
+  "$": { zh: "美元", en: ["dollar", "dollars"], sub: ["cent", "cents"] },
+  "€": { zh: "欧元", en: ["euro", "euros"], sub: ["cent", "cents"] },
+  "£": { zh: "英镑", en: ["pound", "pounds"], sub: ["penny", "pence"] }
+};
+
+// =================================================================================
+// 选项解析
+// =================================================================================
+
+/**
+ * 解析 cleaning_options.normalize
+ *
+ * 取值为 true 时启用全部类别并按音色推断语言；也可以传入对象
+ * { language: "auto" | "zh-CN" | "en-US", categories: [...], mode: "spoken" | "say-as" }。
+ *
+ * @param {boolean|Object} option - 请求中的规范化选项
+ * @param {string} voiceName - 当前文本使用的 Microsoft 音色，用于推断语言
+ * @returns {{language: string, categories: Set<string>, mode: string}|null} 规范化设置，未启用或语言不受支持时返回 null
+ * @throws {Error} 选项无效时抛出，error.param 为 cleaning_options.normalize
+ */
+export function resolveNormalization(option, voiceName) {
+  if (!option) return null;
+  const settings = option === true ? {} : option;
+  if (typeof settings !== "object") {
+    throw paramError("cleaning_options.normalize 必须是布尔值或对象");
+  }
+
+  const { language = "auto", categories = NORMALIZE_CATEGORIES, mode = "spoken" } = settings;
+  if (language !== "auto" && !SUPPORTED_LANGUAGES.includes(language)) {
+    throw paramError(`不支持的规范化语言 '${language}'，可选值: auto, ${SUPPORTED_LANGUAGES.join(", ")}`);
+  }
+  if (!["spoken", "say-as"].includes(mode)) {
+    throw paramError(`无效的规范化模式 '${mode}'，可选值: spoken, say-as`);
+  }
+  if (!Array.isArray(categories) || categories.some(category => !NORMALIZE_CATEGORIES.includes(category))) {
+    throw paramError(`cleaning_options.normalize.categories 只能包含: ${NORMALIZE_CATEGORIES.join(", ")}`);
+  }
+
+  const resolvedLanguage = language === "auto" ? languageOfVoice(voiceName) : language;
+  if (!resolvedLanguage) return null;
+  return { language: resolvedLanguage, categories: new Set(categories), mode };
+}
+
+/**
+ * 按设置规范化文本
+ * @param {string} text - 输入文本
+ * @param {Object|null} normalization - resolveNormalization 返回的设置
+ * @returns {string} 规范化后的文本，say-as 模式下可能包含 <say-as> 标签
+ */
+export function normalizeText(text, normalization) {
+  if (!normalization) return text;
+  const rules = normalization.language === "zh-CN" ? ZH_RULES : EN_RULES;
+
+  return NORMALIZE_CATEGORIES
+    .filter(category => normalization.categories.has(category))
+    .reduce((result, category) => {
+      const sayAs = normalization.mode === "say-as" && SAY_AS_CATEGORIES.has(category);
+      const rule = sayAs ? SAY_AS_RULES[category] : rules[category];
+      return result
+        .split(TAG_PATTERN)
+        .map(part => TAG_PATTERN.test(part) ? part : rule(part, normalization.language))
+        .join("");
+    }, text);
+}
+
+/**
+ * 根据音色名称推断规则语言
+ * @param {string} voiceName - Microsoft 音色名称，如 zh-CN-XiaoxiaoNeural
+ * @returns {string|null} zh-CN / en-US，其他语言返回 null
+ */
+function languageOfVoice(voiceName = "") {
+  const prefix = voiceName.slice(0, 2).toLowerCase();
+  if (prefix === "zh") return "zh-CN";
+  if (prefix === "en") return "en-US";
+  return null;
+}
+
+// =================================================================================
+// 中文规则
+// =================================================================================
+
+const ZH_DIGITS = "零一二三四五六七八九";
+const ZH_GROUP_UNITS = ["", "万", "亿", "万亿"];
+
+const ZH_RULES = {
+  date: text => text
+    .replace(PATTERNS.isoDate, (match, year, month, day) => validDate(month, day)
+      ? `${zhDigits(year)}年${zhInteger(month)}月${zhInteger(day)}日`
+      : match)
+    .replace(PATTERNS.zhYear, year => zhDigits(year)),
+
+  time: text => text.replace(PATTERNS.time, (match, hour, minute, second) => {
+    let spoken = `${zhInteger(hour)}点`;
+    if (minute === "00" && !second) return `${spoken}整`;
+    spoken += `${minute.startsWith("0") && minute !== "00" ? "零" : ""}${zhInteger(minute)}分`;
+    if (second) spoken += `${zhInteger(second)}秒`;
+    return spoken;
+  }),
+
+  phone: text => text.replace(PATTERNS.zhPhone, (match, country, a, b, c, area, local) => {
+    const groups = area ? [area, local] : [a, b, c];
+    const spoken = groups.map(group => zhDigits(group, true)).join(" ");
+    return country ? `加${zhDigits(country.replace("+", ""))} ${spoken}` : spoken;
+  }),
+
+  currency: text => text.replace(PATTERNS.currency, (match, symbol, integer, fraction) => {
+    const currency = CURRENCIES[symbol];
+    const whole = integer.replace(/,/g, "");
+    if (currency.zh !== "元") return `${zhNumber(whole, fraction)}${currency.zh}`;
+
+    // 人民币读作 X 元 X 角 X 分
+    const [jiao = "0", fen = "0"] = (fraction || "").slice(0, 2).split("");
+    let spoken = Number(whole) > 0 || (jiao === "0" && fen === "0") ? `${zhInteger(whole)}元` : "";
+    if (jiao !== "0") spoken += `${ZH_DIGITS[jiao]}角`;
+    if (fen !== "0") spoken += `${jiao === "0" && spoken ? "零" : ""}${ZH_DIGITS[fen]}分`;
+    return spoken;
+  }),
+
+  percent: text => text.replace(PATTERNS.percent, (match, sign, integer, fraction) =>
+    `${sign ? "负" : ""}百分之${zhNumber(integer.replace(/,/g, ""), fraction)}`),
+
+  unit: text => text.replace(UNIT_PATTERN, (match, integer, fraction, unit) =>
+    `${zhNumber(integer.replace(/,/g, ""), fraction)}${UNITS[unit][0]}`),
+
+  number: text => text.replace(PATTERNS.number, (match, integer, fraction) =>
+    zhNumber(integer.replace(/,/g, ""), fraction))
+};
+
+/**
+ * 读出整数或小数，以 0 开头的多位整数（编号等）逐位读出
+ * @param {string} integer - 整数部分（不含千分位）
+ * @param {string} [fraction] - 小数部分
+ * @returns {string} 中文读法
+ */
+function zhNumber(integer, fraction) {
+  const spoken = integer.length > 1 && integer.startsWith("0") ? zhDigits(integer) : zhInteger(integer);
+  return fraction ? `${spoken}点${zhDigits(fraction)}` : spoken;
+}
+
+/**
+ * 整数的中文读法，超过 16 位时逐位读出
+ * @param {string} value - 整数字符串
+ * @returns {string} 中文读法
+ */
+function zhInteger(value) {
+  const digits = String(value).replace(/^0+(?=\d)/, "");
+  if (digits.length > 16) return zhDigits(digits);
+  if (/^0+$/.test(digits)) return ZH_DIGITS[0];
+
+  const groups = [];
+  for (let end = digits.length; end > 0; end -= 4) {
+    groups.unshift(Number(digits.slice(Math.max(0, end - 4), end)));
+  }
+
+  let spoken = "";
+  let pendingZero = false;
+  groups.forEach((group, index) => {
+    if (group === 0) {
+      pendingZero = spoken !== "";
+      return;
+    }
+    if (spoken && (pendingZero || group < 1000)) spoken += ZH_DIGITS[0];
+    pendingZero = false;
+    spoken += zhGroup(group) + ZH_GROUP_UNITS[groups.length - 1 - index];
+  });
+
+  // 10~19 读作 "十X" 而不是 "一十X"
+  return spoken.replace(/^一十/, "十");
+}
+
+/**
+ * 四位以内数字的中文读法
+ * @param {number} group - 0~9999
+ * @returns {string} 中文读法
+ */
+function zhGroup(group) {
+  const digits = String(group).padStart(4, "0");
+  let spoken = "";
+  let zero = false;
+  for (let i = 0; i < 4; i++) {
+    const digit = Number(digits[i]);
+    if (digit === 0) {
+      zero = spoken !== "";
+      continue;
+    }
+    if (zero) spoken += ZH_DIGITS[0];
+    zero = false;
+    spoken += ZH_DIGITS[digit] + ["千", "百", "十", ""][i];
+  }
+  return spoken;
+}
+
+/**
+ * 逐位读出数字
+ * @param {string} digits - 数字串
+ * @param {boolean} [phone] - 是否为电话号码（1 读作 "幺"）
+ * @returns {string} 中文读法
+ */
+function zhDigits(digits, phone = false) {
+  return digits.split("").map(digit => phone && digit === "1" ? "幺" : ZH_DIGITS[digit]).join("");
+}
+
+// =================================================================================
+// 英文规则
+// =================================================================================
+
+const EN_ONES = [
+  "zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten",
+  "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen"
+];
+const EN_TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+const EN_SCALES = ["", "thousand", "million", "billion", "trillion"];
+const EN_MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December"
+];
+
+const EN_RULES = {
+  date: text => text
+    .replace(PATTERNS.isoDate, (match, year, month, day) => validDate(month, day) ? enDate(year, month, day) : match)
+    .replace(PATTERNS.usDate, (match, month, day, year) => validDate(month, day) ? enDate(year, month, day) : match),
+
+  time: text => text.replace(PATTERNS.time, (match, hour, minute, second) => {
+    let spoken = enInteger(hour);
+    if (minute === "00") spoken += second ? " hundred" : " o'clock";
+    else spoken += minute.startsWith("0") ? ` oh ${enInteger(minute)}` : ` ${enInteger(minute)}`;
+    if (second) spoken += ` and ${enInteger(second)} ${second === "01" ? "second" : "seconds"}`;
+    return spoken;
+  }),
+
+  phone: text => text.replace(PATTERNS.enPhone, (match, country, areaInParens, area, exchange, line) => {
+    const groups = [areaInParens || area, exchange, line].map(enDigits);
+    return (country ? `${enDigits(country.replace("+", ""))}, ` : "") + groups.join(", ");
+  }),
+
+  currency: text => text.replace(PATTERNS.currency, (match, symbol, integer, fraction) => {
+    const currency = CURRENCIES[symbol];
+    const whole = integer.replace(/,/g, "");
+    if (!currency.sub) return `${enNumber(whole, fraction)} ${currency.en[1]}`;
+
+    const cents = Number((fraction || "").padEnd(2, "0").slice(0, 2));
+    const parts = [];
+    if (Number(whole) > 0 || cents === 0) parts.push(`${enInteger(whole)} ${currency.en[whole === "1" ? 0 : 1]}`);
+    if (cents > 0) parts.push(`${enInteger(String(cents))} ${currency.sub[cents === 1 ? 0 : 1]}`);
+    return parts.join(" and ");
+  }),
+
+  percent: text => text.replace(PATTERNS.percent, (match, sign, integer, fraction) =>
+    `${sign ? "minus " : ""}${enNumber(integer.replace(/,/g, ""), fraction)} percent`),
+
+  unit: text => text.replace(UNIT_PATTERN, (match, integer, fraction, unit) => {
+    const whole = integer.replace(/,/g, "");
+    const [, singular, plural] = UNITS[unit];
+    return `${enNumber(whole, fraction)} ${whole === "1" && !fraction ? singular : plural}`;
+  }),
+
+  number: text => text.replace(PATTERNS.number, (match, integer, fraction) =>
+    enNumber(integer.replace(/,/g, ""), fraction))
+};
+
+/**
+ * 读出整数或小数
+ * @param {string} integer - 整数部分（不含千分位）
+ * @param {string} [fraction] - 小数部分
+ * @returns {string} 英文读法
+ */
+function enNumber(integer, fraction) {
+  const spoken = integer.length > 1 && integer.startsWith("0") ? enDigits(integer) : enInteger(integer);
+  return fraction ? `${spoken} point ${enDigits(fraction)}` : spoken;
+}
+
+/**
+ * 整数的英文读法，超过 15 位时逐位读出
+ * @param {string} value - 整数字符串
+ * @returns {string} 英文读法
+ */
+function enInteger(value) {
+  const digits = String(value).replace(/^0+(?=\d)/, "");
+  if (digits.length > 15) return enDigits(digits);
+  if (/^0+$/.test(digits)) return EN_ONES[0];
+
+  const words = [];
+  for (let end = digits.length, scale = 0; end > 0; end -= 3, scale++) {
+    const group = Number(digits.slice(Math.max(0, end - 3), end));
+    if (group) words.unshift(`${enBelowThousand(group)}${EN_SCALES[scale] ? ` ${EN_SCALES[scale]}` : ""}`);
+  }
+  return words.join(" ");
+}
+
+/**
+ * 三位以内数字的英文读法
+ * @param {number} number - 1~999
+ * @returns {string} 英文读法
+ */
+function enBelowThousand(number) {
+  const words = [];
+  if (number >= 100) {
+    words.push(`${EN_ONES[Math.floor(number / 100)]} hundred`);
+    number %= 100;
+  }
+  if (number >= 20) {
+    words.push(EN_TENS[Math.floor(number / 10)] + (number % 10 ? `-${EN_ONES[number % 10]}` : ""));
+  } else if (number > 0) {
+    words.push(EN_ONES[number]);
+  }
+  return words.join(" ");
+}
+
+/**
+ * 逐位读出数字
+ * @param {string} digits - 数字串
+ * @returns {string} 英文读法
+ */
+function enDigits(digits) {
+  return digits.split("").map(digit => EN_ONES[digit]).join(" ");
+}
+
+/**
+ * 日期的英文读法，如 "October eighteenth, twenty twenty-six"
+ * @param {string} year - 年
+ * @param {string} month - 月
+ * @param {string} day - 日
+ * @returns {string} 英文读法
+ */
+function enDate(year, month, day) {
+  return `${EN_MONTHS[Number(month) - 1]} ${enOrdinal(enInteger(day))}, ${enYear(year)}`;
+}
+
+/**
+ * 年份的英文读法：2026 读作 twenty twenty-six，2005 读作 two thousand five
+ * @param {string} year - 四位年份
+ * @returns {string} 英文读法
+ */
+function enYear(year) {
+  const value = Number(year);
+  if (value >= 2000 && value < 2010) return enInteger(year);
+  const high = enInteger(year.slice(0, 2));
+  const low = Number(year.slice(2));
+  if (low === 0) return `${high} hundred`;
+  return `${high} ${low < 10 ? `oh ${EN_ONES[low]}` : enInteger(String(low))}`;
+}
+
+/**
+ * 把基数词的最后一个词改为序数词
+ * @param {string} words - 基数词，如 "twenty-one"
+ * @returns {string} 序数词，如 "twenty-first"
+ */
+function enOrdinal(words) {
+  const irregular = { one: "first", two: "second", three: "third", five: "fifth", eight: "eighth", nine: "ninth", twelve: "twelfth" };
+  return words.replace(/[a-z]+$/, word => {
+    if (irregular[word]) return irregular[word];
+    if (word.endsWith("y")) return `${word.slice(0, -1)}ieth`;
+    return `${word}th`;
+  });
+}
+
+// =================================================================================
+// say-as 规则
+// =================================================================================
+
+const SAY_AS_RULES = {
+  date: (text, language) => {
+    const wrapped = text.replace(PATTERNS.isoDate, (match, year, month, day) => validDate(month, day)
+      ? sayAs("date", `${year}-${month}-${day}`, "ymd")
+      : match);
+    return language === "en-US"
+      ? wrapped.replace(PATTERNS.usDate, (match, month, day, year) => validDate(month, day) ? sayAs("date", match, "mdy") : match)
+      : wrapped;
+  },
+  time: text => text.replace(PATTERNS.time, match => sayAs("time", match, "hms24")),
+  phone: (text, language) => text.replace(language === "zh-CN" ? PATTERNS.zhPhone : PATTERNS.enPhone, match => sayAs("telephone", match)),
+  number: text => text.replace(PATTERNS.number, (match, integer, fraction) =>
+    sayAs("cardinal", fraction ? `${integer.replace(/,/g, "")}.${fraction}` : integer.replace(/,/g, "")))
+};
+
+/**
+ * 生成 <say-as> 标签，getSsml 会原样保留这种形式的标签
+ * @param {string} interpretAs - interpret-as 取值
+ * @param {string} content - 内容（仅包含数字与分隔符）
+ * @param {string} [format] - format 取值
+ * @returns {string} SSML 片段
+ */
+function sayAs(interpretAs, content, format) {
+  return `<say-as interpret-as="${interpretAs}"${format ? ` format="${format}"` : ""}>${content}</say-as>`;
+}
+
+// =================================================================================
+// 内部工具函数
+// =================================================================================
+
+/**
+ * 判断月、日是否在有效范围内
+ * @param {string} month - 月
+ * @param {string} day - 日
+ * @returns {boolean} 是否有效
+ */
+function validDate(month, day) {
+  return Number(month) >= 1 && Number(month) <= 12 && Number(day) >= 1 && Number(day) <= 31;
+}
+
+/**
+ * 转义正则表达式特殊字符
+ * @param {string} text - 文本
+ * @returns {string} 可按字面量匹配的正则源码
+ */
+function escapeRegExp(text) {
+  return text.replace(/[-\/\\^$*+?.()|[\]{}]/g, "\\$&");
+}
+
+/**
+ * 生成 cleaning_options.normalize 的校验错误
+ * @param {string} message - 错误消息
+ * @returns {Error} 错误对象
+ */
+function paramError(message) {
+  const error = new Error(message);
+  error.param = "cleaning_options.normalize";
+  return error;
+}
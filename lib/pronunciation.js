@@ -0,0 +1,317 @@
+/**
+ * 发音词典与替换规则
+ *
+ * @description 在文本清理流水线中按规则改写文本（字面量或正则），并在生成 SSML 时
+ * 把词典中的词语包裹为 <phoneme>（拼音 / IPA 等音标）或 <sub alias>，用于纠正品牌名、
+ * 缩写、多音字与产品型号的读法。服务端可通过 PRONUNCIATION_DICTIONARIES 配置具名词典，
+ * 名为 default 的词典对所有请求生效。
+ */
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+const MAX_RULES = 200;             // 单次请求可用的替换规则与词条总数上限
+const MAX_PATTERN_LENGTH = 500;    // 单条规则的最大长度
+const DEFAULT_DICTIONARY = "default";
+
+// 音标体系，pinyin 为 Microsoft 中文音标（sapi，如 "chong 2 qing 4"）的别名
+const PHONEME_ALPHABETS = {
+  ipa: "ipa",
+  sapi: "sapi",
+  pinyin: "sapi",
+  ups: "ups",
+  "x-sampa": "x-sampa"
+};
+
+/**
+ * 汇总本次请求生效的替换规则与词典
+ *
+ * 顺序为：服务端 default 词典、cleaning_options.dictionaries 中指定的词典、请求自带的规则。
+ * 替换规则按顺序依次执行；同一词语出现多次时，后出现的词条生效。
+ * 请求自带的正则规则不能嵌套量词（见 findNestedQuantifier），以免回溯耗尽 CPU。
+ *
+ * @param {Object} cleaningOptions - 文本清理选项 { replacements, lexicon, dictionaries }
+ * @param {Object} [env] - 环境变量
+ * @returns {{replacements: Array<{pattern: RegExp, replacement: string}>, lexicon: Array<Object>}} 编译后的规则
+ * @throws {Error} 规则或词典无效时抛出，error.param 指明出错的参数
+ */
+export function resolvePronunciation(cleaningOptions = {}, env = {}) {
+  const dictionaries = getDictionaries(env);
+  const requested = cleaningOptions.dictionaries ?? [];
+  if (!Array.isArray(requested)) {
+    throw paramError("cleaning_options.dictionaries 必须是词典名称数组", "cleaning_options.dictionaries");
+  }
+
+  const sources = [];
+  if (dictionaries[DEFAULT_DICTIONARY]) sources.push(dictionaries[DEFAULT_DICTIONARY]);
+  for (const name of requested) {
+    if (name === DEFAULT_DICTIONARY) continue;
+    if (!dictionaries[name]) {
+      const available = Object.keys(dictionaries).join(", ") || "无";
+      throw paramError(`未知的发音词典 '${name}'，可用词典: ${available}`, "cleaning_options.dictionaries");
+    }
+    sources.push(dictionaries[name]);
+  }
+  const requestSource = { replacements: cleaningOptions.replacements, lexicon: cleaningOptions.lexicon };
+  sources.push(requestSource);
+
+  const replacements = [];
+  const lexicon = new Map();
+  for (const source of sources) {
+    for (const rule of asArray(source.replacements, "cleaning_options.replacements")) {
+      replacements.push(compileReplacement(rule, source === requestSource));
+    }
+    for (const entry of asArray(source.lexicon, "cleaning_options.lexicon")) {
+      const compiled = compileLexiconEntry(entry);
+      lexicon.delete(compiled.word);
+      lexicon.set(compiled.word, compiled);
+    }
+  }
+
+  if (replacements.length + lexicon.size > MAX_RULES) {
+    throw paramError(`替换规则与词条总数不能超过 ${MAX_RULES} 条`, "cleaning_options.replacements");
+  }
+
+  return { replacements, lexicon: [...lexicon.values()] };
+}
+
+/**
+ * 按顺序执行替换规则
+ * @param {string} text - 输入文本
+ * @param {Array<{pattern: RegExp, replacement: string}>} replacements - 编译后的替换规则
+ * @returns {string} 替换后的文本
+ */
+export function applyReplacements(text, replacements = []) {
+  return replacements.reduce((result, { pattern, replacement }) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * 在已转义的 SSML 文本中为词典词语添加 <phoneme> / <sub> 标记，已有的标签保持不变
+ * @param {string} escapedText - 已完成 XML 转义的文本（可能包含 break 标签）
+ * @param {Array<Object>} lexicon - 编译后的词条
+ * @returns {string} 带发音标记的 SSML 片段
+ */
+export function applyLexicon(escapedText, lexicon = []) {
+  if (lexicon.length === 0) return escapedText;
+
+  const byWord = new Map(lexicon.map(entry => [escapeText(entry.word), entry]));
+  // 长词优先，避免短词抢先匹配长词的一部分
+  const alternatives = [...byWord.keys()]
+    .sort((a, b) => b.length - a.length)
+    .map(word => {
+      const escaped = escapeRegExp(word);
+      // 以字母数字开头或结尾的词语需要整词匹配，中文等直接按子串匹配
+      const start = /^\w/.test(word) ? "(?<![\\w])" : "";
+      const end = /\w$/.test(word) ? "(?![\\w])" : "";
+      return `${start}${escaped}${end}`;
+    });
+  const pattern = new RegExp(alternatives.join("|"), "g");
+
+  return escapedText
+    .split(/(<[^>]+>)/)
+    .map(part => part.startsWith("<") ? part : part.replace(pattern, word => renderEntry(word, byWord.get(word))))
+    .join("");
+}
+
+// =================================================================================
+// 内部工具函数
+// =================================================================================
+
+/**
+ * 读取服务端具名词典
+ * @param {Object} env - 环境变量，PRONUNCIATION_DICTIONARIES 为 { 名称: { replacements, lexicon } } 形式的 JSON
+ * @returns {Object} 名称 -> 词典
+ */
+function getDictionaries(env) {
+  if (!env.PRONUNCIATION_DICTIONARIES) return {};
+  try {
+    const parsed = typeof env.PRONUNCIATION_DICTIONARIES === "string"
+      ? JSON.parse(env.PRONUNCIATION_DICTIONARIES)
+      : env.PRONUNCIATION_DICTIONARIES;
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (error) {
+    console.warn(`PRONUNCIATION_DICTIONARIES 解析失败，已忽略: ${error.message}`);
+    return {};
+  }
+}
+
+/**
+ * 编译替换规则
+ * @param {Object} rule - { pattern, replacement, regex, flags }
+ * @param {boolean} [fromRequest] - 是否为请求自带的规则，此时拒绝嵌套量词的正则
+ * @returns {{pattern: RegExp, replacement: string}} 编译后的规则
+ * @throws {Error} 规则无效时抛出
+ */
+function compileReplacement(rule, fromRequest = false) {
+  const param = "cleaning_options.replacements";
+  if (!rule || typeof rule.pattern !== "string" || !rule.pattern) {
+    throw paramError("替换规则缺少 pattern", param);
+  }
+  if (rule.pattern.length > MAX_PATTERN_LENGTH) {
+    throw paramError(`替换规则 '${rule.pattern.slice(0, 20)}…' 超过 ${MAX_PATTERN_LENGTH} 个字符`, param);
+  }
+  const replacement = rule.replacement == null ? "" : String(rule.replacement);
+
+  if (!rule.regex) {
+    // 字面量规则替换全部出现位置，替换文本中的 $ 不做特殊处理
+    return { pattern: new RegExp(escapeRegExp(rule.pattern), "g"), replacement: replacement.replace(/\$/g, "$$$$") };
+  }
+
+  const flags = rule.flags == null ? "g" : String(rule.flags);
+  if (!/^[gimsu]*$/.test(flags)) {
+    throw paramError(`替换规则 '${rule.pattern}' 的 flags 无效，只能包含 g、i、m、s、u`, param);
+  }
+  let pattern;
+  try {
+    pattern = new RegExp(rule.pattern, flags);
+  } catch (error) {
+    throw paramError(`替换规则 '${rule.pattern}' 不是有效的正则表达式: ${error.message}`, param);
+  }
+  if (fromRequest && findNestedQuantifier(rule.pattern)) {
+    throw paramError(`替换规则 '${rule.pattern}' 对包含量词或 | 的分组重复匹配，可能导致回溯过多；请改写规则或在服务端词典中配置`, param);
+  }
+  return { pattern, replacement };
+}
+
+/**
+ * 检查正则中是否有被 * + {n,} 等量词重复、且内部含有量词或 | 的分组，如 (a+)+、(a|aa)*
+ *
+ * 只做语法层面的保守判断，可能拒绝个别实际安全的写法。
+ *
+ * @param {string} source - 已确认有效的正则表达式源码
+ * @returns {boolean} 存在嵌套量词时返回 true
+ */
+function findNestedQuantifier(source) {
+  const groups = [{ variable: false }];   // 每层分组内是否含有量词或 |
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (char === "\\") {
+      i++;
+    } else if (char === "[") {
+      // 跳过字符类，其中的 ( ) * + 等不是元字符
+      for (i++; i < source.length && source[i] !== "]"; i++) {
+        if (source[i] === "\\") i++;
+      }
+    } else if (char === "(") {
+      groups.push({ variable: false });
+      // 跳过 (?: (?= (?! (?<= (?<! (?<name> 的前缀，避免把 ? 当作量词
+      if (source[i + 1] === "?") i += source[i + 2] === "<" && /[=!]/.test(source[i + 3]) ? 3 : 2;
+    } else if (char === ")") {
+      const group = groups.pop();
+      const quantifier = readQuantifier(source, i + 1);
+      if (group.variable && quantifier?.repeats) return true;
+      if (group.variable || quantifier) groups[groups.length - 1].variable = true;
+    } else if (char === "|" || readQuantifier(source, i)) {
+      groups[groups.length - 1].variable = true;
+    }
+  }
+  return false;
+}
+
+/**
+ * 读取指定位置的量词
+ * @param {string} source - 正则表达式源码
+ * @param {number} index - 位置
+ * @returns {{repeats: boolean}|null} 量词信息（repeats 表示可匹配多于一次），该位置不是量词时返回 null
+ */
+function readQuantifier(source, index) {
+  const char = source[index];
+  if (char === "*" || char === "+") return { repeats: true };
+  if (char === "?") return { repeats: false };
+  const match = /^\{(\d+)(,(\d*))?\}/.exec(source.slice(index));
+  if (!match) return null;
+  const max = match[2] === undefined ? Number(match[1]) : match[3] === "" ? Infinity : Number(match[3]);
+  return { repeats: max > 1 };
+}
+
+/**
+ * 编译词条
+ * @param {Object} entry - { word, phoneme, alphabet } 或 { word, alias }
+ * @returns {Object} 编译后的词条
+ * @throws {Error} 词条无效时抛出
+ */
+function compileLexiconEntry(entry) {
+  const param = "cleaning_options.lexicon";
+  if (!entry || typeof entry.word !== "string" || !entry.word.trim()) {
+    throw paramError("词条缺少 word", param);
+  }
+  const hasPhoneme = typeof entry.phoneme === "string" && entry.phoneme !== "";
+  const hasAlias = typeof entry.alias === "string" && entry.alias !== "";
+  if (hasPhoneme === hasAlias) {
+    throw paramError(`词条 '${entry.word}' 必须且只能设置 phoneme 或 alias 之一`, param);
+  }
+
+  if (hasAlias) return { word: entry.word, alias: entry.alias };
+
+  const alphabet = PHONEME_ALPHABETS[(entry.alphabet || "ipa").toLowerCase()];
+  if (!alphabet) {
+    throw paramError(`词条 '${entry.word}' 的 alphabet 无效，可选值: ${Object.keys(PHONEME_ALPHABETS).join(", ")}`, param);
+  }
+  return { word: entry.word, phoneme: entry.phoneme, alphabet };
+}
+
+/**
+ * 输出词条对应的 SSML 标记
+ * @param {string} escapedWord - 已转义的原文
+ * @param {Object} entry - 词条
+ * @returns {string} SSML 片段
+ */
+function renderEntry(escapedWord, entry) {
+  if (entry.alias) return `<sub alias="${escapeXml(entry.alias)}">${escapedWord}</sub>`;
+  return `<phoneme alphabet="${entry.alphabet}" ph="${escapeXml(entry.phoneme)}">${escapedWord}</phoneme>`;
+}
+
+/**
+ * 校验可选的数组参数
+ * @param {any} value - 参数值
+ * @param {string} param - 参数名
+ * @returns {Array} 数组（未设置时为空数组）
+ */
+function asArray(value, param) {
+  if (value == null) return [];
+  if (!Array.isArray(value)) throw paramError(`${param} 必须是数组`, param);
+  return value;
+}
+
+/**
+ * 按 getSsml 的规则转义文本内容（&、<、>）
+ * @param {string} text - 文本
+ * @returns {string} 转义后的文本
+ */
+function escapeText(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+/**
+ * 转义属性值
+ * @param {string} text - 文本
+ * @returns {string} 可放入双引号属性中的文本
+ */
+function escapeXml(text) {
+  return escapeText(text).replace(/"/g, "&quot;");
+}
+
+/**
+ * 转义正则表达式特殊字符
+ * @param {string} text - 文本
+ * @returns {string} 可按字面量匹配的正则源码
+ */
+function escapeRegExp(text) {
+  return text.replace(/[-\/\\^$*+?.()|[\]{}]/g, "\\$&");
+}
+
+/**
+ * 生成带参数名的校验错误
+ * @param {string} message - 错误消息
+ * @param {string} param - 出错的请求参数
+ * @returns {Error} 错误对象
+ */
+function paramError(message, param) {
+  const error = new Error(message);
+  error.param = param;
+  return error;
+}
@@ -0,0 +1,239 @@
+/**
+ * 上游语音合成服务
+ *
+ * @description 把"SSML + 输出格式 -> 音频"抽象为可替换的上游服务，按 TTS_PROVIDERS 配置的优先级依次尝试：
+ * - translator：Translator 应用的签名端点（默认）
+ * - azure：官方 Azure Speech 订阅密钥与区域
+ * - edge：Edge 浏览器"大声朗读"的 WebSocket 接口
+ * - mock：离线模拟合成（见 mock.js）
+ * 某个服务失败后在冷却时间内跳过它，由下一个服务处理请求。
+ */
+
+import { getEndpoint, invalidateEndpoint } from "./endpoint.js";
+import { parseRetryAfter } from "./retry.js";
+import { getMockBackend, getMockOptions, getMockAudioChunk } from "./mock.js";
+import { READALOUD_FORMATS, synthesizeReadAloud } from "./readaloud.js";
+import { measure } from "./tracing.js";
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+const DEFAULT_PROVIDERS = ["translator"];
+const DEFAULT_COOLDOWN_SECONDS = 60;    // 服务失败后被跳过的时间（秒）
+
+// 请求本身有问题时换用其他服务也无法解决，直接返回错误且不进入冷却
+const NON_FAILOVER_STATUSES = [400, 413, 415];
+
+// 服务名 -> 冷却结束时间（毫秒），同一实例内的请求共享
+const cooldowns = new Map();
+
+/**
+ * 按环境变量创建上游服务列表
+ *
+ * TTS_BACKEND=mock 时只使用模拟合成；否则按 TTS_PROVIDERS（逗号分隔，如 "azure,translator,edge"）的顺序排列，
+ * 未知或缺少配置的服务会被忽略，全部无效时回退到 translator。
+ *
+ * @param {Object} [env] - 环境变量: TTS_PROVIDERS、TTS_PROVIDER_COOLDOWN（秒）、AZURE_SPEECH_KEY、AZURE_SPEECH_REGION
+ * @returns {{providers: Array<Object>, cooldownMs: number}} 按优先级排列的服务与冷却时间
+ */
+export function resolveProviders(env = {}) {
+  const mock = getMockBackend(env);
+  if (mock) return { providers: [createMockProvider(mock)], cooldownMs: 0 };
+
+  const names = env.TTS_PROVIDERS
+    ? String(env.TTS_PROVIDERS).split(",").map(name => name.trim().toLowerCase()).filter(Boolean)
+    : DEFAULT_PROVIDERS;
+
+  const providers = [];
+  for (const name of names) {
+    const provider = createProvider(name, env);
+    if (provider) providers.push(provider);
+  }
+  if (providers.length === 0) providers.push(createTranslatorProvider());
+
+  const cooldown = Number(env.TTS_PROVIDER_COOLDOWN);
+  return {
+    providers,
+    cooldownMs: (env.TTS_PROVIDER_COOLDOWN !== undefined && Number.isFinite(cooldown) && cooldown >= 0 ? cooldown : DEFAULT_COOLDOWN_SECONDS) * 1000
+  };
+}
+
+// =================================================================================
+// 故障转移
+// =================================================================================
+
+/**
+ * 按优先级依次尝试各服务合成单个文本块
+ *
+ * 跳过处于冷却中或不支持该输出格式的服务；失败的服务进入冷却，由下一个服务继续。
+ * 所有服务都在冷却中时，仍按冷却结束的先后尝试，而不是直接失败。
+ *
+ * @param {string} ssml - 文本块最终的 SSML
+ * @param {string} outputFormat - Microsoft 输出格式
+ * @param {{providers: Array<Object>, cooldownMs: number}} upstream - resolveProviders 的返回值
+ * @param {Object} [attempt] - 本次尝试的上下文：trace 用于记录 Token 获取耗时，结束后写入 provider 与 status
+ * @param {AbortSignal} [signal] - 中止信号，触发后不再尝试其他服务
+ * @returns {Promise<Uint8Array>} 音频数据
+ * @throws {Error} 所有服务都失败时抛出最后一个错误（error.status / error.retryAfter 供重试策略使用）
+ */
+export async function synthesizeWithFailover(ssml, outputFormat, { providers, cooldownMs }, attempt = {}, signal) {
+  const candidates = providers.filter(provider => provider.supports(outputFormat));
+  if (candidates.length === 0) {
+    const error = new Error(`已配置的上游服务（${providers.map(provider => provider.name).join(", ")}）均不支持输出格式 ${outputFormat}`);
+    error.status = 400;
+    error.param = "response_format";
+    throw error;
+  }
+
+  const now = Date.now();
+  const available = candidates.filter(provider => !(cooldowns.get(provider.name) > now));
+  const ordered = available.length > 0
+    ? available
+    : [...candidates].sort((a, b) => cooldowns.get(a.name) - cooldowns.get(b.name));
+
+  let lastError;
+  for (const provider of ordered) {
+    attempt.provider = provider.name;
+    try {
+      const bytes = await provider.synthesize(ssml, outputFormat, attempt.trace ?? null, signal);
+      cooldowns.delete(provider.name);
+      attempt.status = 200;
+      return bytes;
+    } catch (error) {
+      attempt.status = error.status ?? null;
+      // 被中止时其他服务同样会立即失败，不再转移，也不让它们进入冷却
+      if (NON_FAILOVER_STATUSES.includes(error.status) || signal?.aborted) throw error;
+      lastError = error;
+      if (cooldownMs > 0) cooldowns.set(provider.name, Date.now() + cooldownMs);
+      if (ordered.length > 1) {
+        console.warn(`上游服务 ${provider.name} 失败，${cooldownMs / 1000} 秒内跳过: ${error.message}`);
+      }
+    }
+  }
+  throw lastError;
+}
+
+// =================================================================================
+// 服务实现
+// =================================================================================
+
+/**
+ * 按名称创建上游服务
+ * @param {string} name - 服务名
+ * @param {Object} env - 环境变量
+ * @returns {Object|null} 服务，未知或缺少配置时返回 null
+ */
+function createProvider(name, env) {
+  switch (name) {
+    case "translator":
+      return createTranslatorProvider();
+    case "azure":
+      if (!env.AZURE_SPEECH_KEY || !env.AZURE_SPEECH_REGION) {
+        console.warn("TTS_PROVIDERS 中的 azure 需要同时设置 AZURE_SPEECH_KEY 与 AZURE_SPEECH_REGION，已忽略");
+        return null;
+      }
+      return createAzureProvider(env.AZURE_SPEECH_KEY, env.AZURE_SPEECH_REGION);
+    case "edge":
+      return {
+        name: "edge",
+        supports: outputFormat => READALOUD_FORMATS.includes(outputFormat),
+        synthesize: synthesizeReadAloud
+      };
+    case "mock":
+      return createMockProvider(getMockOptions(env));
+    default:
+      console.warn(`未知的上游服务 '${name}'，可选值: translator, azure, edge, mock`);
+      return null;
+  }
+}
+
+/**
+ * Translator 应用签名端点
+ * @returns {Object} 服务
+ */
+function createTranslatorProvider() {
+  return {
+    name: "translator",
+    supports: () => true,
+    async synthesize(ssml, outputFormat, trace, signal) {
+      const endpoint = await measure(trace, "token", getEndpoint);
+      const response = await fetch(`https://${endpoint.r}.tts.speech.microsoft.com/cognitiveservices/v1`, {
+        method: "POST",
+        headers: {
+          "Authorization": endpoint.t,
+          "Content-Type": "application/ssml+xml",
+          "User-Agent": "okhttp/4.5.0",
+          "X-Microsoft-OutputFormat": outputFormat
+        },
+        body: ssml,
+        signal
+      });
+      // 401 说明缓存的 Token 已失效，清除后下次请求会重新获取端点
+      if (response.status === 401) invalidateEndpoint();
+      return readAudioResponse(response, "Edge TTS API 错误");
+    }
+  };
+}
+
+/**
+ * 官方 Azure Speech 服务
+ * @param {string} key - 订阅密钥
+ * @param {string} region - 区域，如 eastasia
+ * @returns {Object} 服务
+ */
+function createAzureProvider(key, region) {
+  return {
+    name: "azure",
+    supports: () => true,
+    async synthesize(ssml, outputFormat, trace, signal) {
+      const response = await fetch(`https://${region}.tts.speech.microsoft.com/cognitiveservices/v1`, {
+        method: "POST",
+        headers: {
+          "Ocp-Apim-Subscription-Key": key,
+          "Content-Type": "application/ssml+xml",
+          "User-Agent": "edgetts-edgeone-pages",
+          "X-Microsoft-OutputFormat": outputFormat
+        },
+        body: ssml,
+        signal
+      });
+      return readAudioResponse(response, "Azure Speech API 错误");
+    }
+  };
+}
+
+/**
+ * 离线模拟合成
+ * @param {Object} options - getMockOptions 返回的配置
+ * @returns {Object} 服务
+ */
+function createMockProvider(options) {
+  return {
+    name: "mock",
+    supports: () => true,
+    synthesize: (ssml, outputFormat, trace, signal) => getMockAudioChunk(ssml, outputFormat, options, signal)
+  };
+}
+
+// =================================================================================
+// 内部工具函数
+// =================================================================================
+
+/**
+ * 读取上游 HTTP 响应中的音频，失败时抛出带状态码的错误
+ * @param {Response} response - 上游响应
+ * @param {string} label - 错误消息前缀
+ * @returns {Promise<Uint8Array>} 音频数据
+ * @throws {Error} 响应失败时抛出，error.status / error.retryAfter 供重试与故障转移使用
+ */
+async function readAudioResponse(response, label) {
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`${label}: ${response.status} ${response.statusText} - ${errorText}`);
+    error.status = response.status;
+    error.retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+    throw error;
+  }
+  return new Uint8Array(await response.arrayBuffer());
+}
@@ -0,0 +1,162 @@
+/**
+ * Edge 浏览器"大声朗读"WebSocket 协议
+ *
+ * @description 通过 speech.platform.bing.com 的 WebSocket 接口合成语音，无需签名 Token。
+ * 该接口不支持 mstts:express-as 风格，发送前会去除风格标签；输出格式仅支持部分 MP3。
+ */
+
+import { sha256Hex } from "./cache.js";
+import { concatBytes } from "./audio.js";
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+const TRUSTED_CLIENT_TOKEN = "6A5AA1D4EAFF4E9FB37E23D68491D6F4";
+const CHROMIUM_VERSION = "130.0.2849.68";
+const READALOUD_URL = "wss://speech.platform.bing.com/consumer/speech/synthesize/readaloud/edge/v1";
+const READALOUD_ORIGIN = "chrome-extension://jdiccldimpdaibmpdkjnbmckianbfold";
+const READALOUD_TIMEOUT_MS = 30000;  // 单个文本块从连接到收到 turn.end 的时间上限
+
+// 运行时能否通过 fetch 升级为 WebSocket：null 为尚未确定，首次尝试后在运行实例内缓存
+let fetchUpgradeSupported = null;
+
+// 该接口接受的 Microsoft 输出格式
+export const READALOUD_FORMATS = [
+  "audio-24khz-48kbitrate-mono-mp3",
+  "audio-24khz-96kbitrate-mono-mp3",
+  "audio-48khz-96kbitrate-mono-mp3",
+  "audio-48khz-192kbitrate-mono-mp3"
+];
+
+// =================================================================================
+// 合成
+// =================================================================================
+
+/**
+ * 通过 WebSocket 合成单个文本块
+ * @param {string} ssml - 文本块最终的 SSML
+ * @param {string} outputFormat - Microsoft 输出格式，须在 READALOUD_FORMATS 中
+ * @returns {Promise<Uint8Array>} 音频数据
+ * @throws {Error} 连接失败、超时或连接在合成完成前关闭时抛出（不带 status，可重试）
+ */
+export async function synthesizeReadAloud(ssml, outputFormat) {
+  const connectionId = crypto.randomUUID().replace(/-/g, "");
+  const url = `${READALOUD_URL}?TrustedClientToken=${TRUSTED_CLIENT_TOKEN}` +
+    `&ConnectionId=${connectionId}&Sec-MS-GEC=${await secMsGec()}&Sec-MS-GEC-Version=1-${CHROMIUM_VERSION}`;
+  const socket = await openSocket(url);
+
+  try {
+    return await new Promise((resolve, reject) => {
+      const audio = [];
+      const timer = setTimeout(() => reject(new Error(`Edge 朗读接口超时（${READALOUD_TIMEOUT_MS}ms）`)), READALOUD_TIMEOUT_MS);
+      const finish = (callback, value) => {
+        clearTimeout(timer);
+        callback(value);
+      };
+
+      socket.addEventListener("message", async event => {
+        if (typeof event.data === "string") {
+          if (event.data.includes("Path:turn.end")) finish(resolve, concatBytes(audio));
+          return;
+        }
+        // 二进制消息: 2 字节头部长度（大端）+ 头部文本 + 音频数据
+        const bytes = new Uint8Array(event.data instanceof ArrayBuffer ? event.data : await event.data.arrayBuffer());
+        const headerLength = (bytes[0] << 8) | bytes[1];
+        const header = new TextDecoder().decode(bytes.subarray(2, 2 + headerLength));
+        if (header.includes("Path:audio")) audio.push(bytes.subarray(2 + headerLength));
+      });
+      socket.addEventListener("close", event => {
+        finish(reject, new Error(`Edge 朗读接口连接已关闭: ${event.code} ${event.reason || ""}`.trim()));
+      });
+      socket.addEventListener("error", () => finish(reject, new Error("Edge 朗读接口连接出错")));
+
+      const timestamp = new Date().toString();
+      socket.send(
+        `X-Timestamp:${timestamp}\r\nContent-Type:application/json; charset=utf-8\r\nPath:speech.config\r\n\r\n` +
+        JSON.stringify({
+          context: {
+            synthesis: {
+              audio: {
+                metadataoptions: { sentenceBoundaryEnabled: "false", wordBoundaryEnabled: "false" },
+                outputFormat
+              }
+            }
+          }
+        })
+      );
+      socket.send(
+        `X-RequestId:${connectionId}\r\nContent-Type:application/ssml+xml\r\nX-Timestamp:${timestamp}Z\r\nPath:ssml\r\n\r\n` +
+        stripStyles(ssml)
+      );
+    });
+  } finally {
+    try {
+      socket.close();
+    } catch (error) {
+      // 连接已关闭
+    }
+  }
+}
+
+// =================================================================================
+// 内部工具函数
+// =================================================================================
+
+/**
+ * 建立 WebSocket 连接
+ *
+ * 支持通过 fetch 升级连接的运行时（可携带 Origin 等请求头）优先使用 fetch，
+ * 否则使用标准的 WebSocket 构造函数。是否支持只在首次连接时探测一次，
+ * 不支持的运行时之后直接使用 WebSocket，不再多发一次 HTTP 请求。
+ *
+ * @param {string} url - wss 地址
+ * @returns {Promise<WebSocket>} 已打开的连接
+ */
+async function openSocket(url) {
+  const headers = {
+    "Upgrade": "websocket",
+    "Origin": READALOUD_ORIGIN,
+    "User-Agent": `Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/${CHROMIUM_VERSION.split(".")[0]}.0.0.0 Safari/537.36 Edg/${CHROMIUM_VERSION}`
+  };
+  if (fetchUpgradeSupported !== false) {
+    const response = await fetch(url.replace(/^wss:/, "https:"), { headers }).catch(() => null);
+    if (response && response.webSocket) {
+      fetchUpgradeSupported = true;
+      response.webSocket.accept();
+      return response.webSocket;
+    }
+    // 收到普通 HTTP 响应说明运行时不支持升级；网络错误时无法判断，下次仍会尝试
+    if (response && fetchUpgradeSupported === null) fetchUpgradeSupported = false;
+  }
+
+  if (typeof WebSocket === "undefined") {
+    throw new Error("当前运行时不支持 WebSocket，无法使用 Edge 朗读接口");
+  }
+  const socket = new WebSocket(url);
+  socket.binaryType = "arraybuffer";
+  await new Promise((resolve, reject) => {
+    socket.addEventListener("open", resolve, { once: true });
+    socket.addEventListener("error", () => reject(new Error("Edge 朗读接口连接失败")), { once: true });
+  });
+  return socket;
+}
+
+/**
+ * 生成 Sec-MS-GEC 参数：以 5 分钟取整的 Windows 时间刻度与客户端 Token 的 SHA-256
+ * @returns {Promise<string>} 大写十六进制摘要
+ */
+async function secMsGec() {
+  let seconds = Math.floor(Date.now() / 1000) + 11644473600;
+  seconds -= seconds % 300;
+  return (await sha256Hex(`${seconds}0000000${TRUSTED_CLIENT_TOKEN}`)).toUpperCase();
+}
+
+/**
+ * 去除朗读接口不支持的 mstts:express-as 标签，保留其中的内容
+ * @param {string} ssml - SSML 文档
+ * @returns {string} SSML 文档
+ */
+function stripStyles(ssml) {
+  return ssml.replace(/<mstts:express-as\b[^>]*>|<\/mstts:express-as>/g, "");
+}
@@ -0,0 +1,121 @@
+/**
+ * 重试与退避策略
+ *
+ * @description 为上游请求提供指数退避 + 抖动的重试，遵循 Retry-After。
+ * 重试次数与截止时间可通过环境变量配置；到达截止时间时中止仍在进行的上游请求。
+ */
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+const DEFAULT_MAX_RETRIES = 3;          // 每个文本块的最大重试次数
+const DEFAULT_BASE_DELAY_MS = 500;      // 首次退避时间
+const DEFAULT_MAX_DELAY_MS = 8000;      // 单次退避上限
+const DEFAULT_DEADLINE_MS = 30000;      // 单个文本块（含所有重试）的截止时间
+
+/**
+ * 从环境变量读取重试策略
+ * @param {Object} [env] - 环境变量，支持 TTS_MAX_RETRIES、TTS_RETRY_BASE_MS、TTS_RETRY_MAX_MS、TTS_CHUNK_DEADLINE_MS
+ * @returns {{maxRetries: number, baseDelayMs: number, maxDelayMs: number, deadlineMs: number}} 重试策略
+ */
+export function getRetryPolicy(env = {}) {
+  const read = (name, fallback) => {
+    const value = Number(env[name]);
+    return env[name] !== undefined && env[name] !== "" && Number.isFinite(value) && value >= 0 ? value : fallback;
+  };
+
+  return {
+    maxRetries: read("TTS_MAX_RETRIES", DEFAULT_MAX_RETRIES),
+    baseDelayMs: read("TTS_RETRY_BASE_MS", DEFAULT_BASE_DELAY_MS),
+    maxDelayMs: read("TTS_RETRY_MAX_MS", DEFAULT_MAX_DELAY_MS),
+    deadlineMs: read("TTS_CHUNK_DEADLINE_MS", DEFAULT_DEADLINE_MS)
+  };
+}
+
+// =================================================================================
+// 重试执行
+// =================================================================================
+
+/**
+ * 按策略重试异步操作
+ *
+ * 可重试的错误: 无状态码（网络错误、Token 获取失败）、401（上游服务已清除失效的 Token）、408、429 及 5xx。
+ * 错误对象上的 status / retryAfter（秒）由调用方在抛出时设置。
+ * 每次尝试都会收到在截止时间触发的 AbortSignal，被它中止的尝试按 408 超时处理。
+ *
+ * @param {function(number, AbortSignal): Promise<any>} fn - 要执行的操作，参数为当前尝试序号（从 0 开始）与中止信号
+ * @param {Object} policy - getRetryPolicy 返回的重试策略
+ * @returns {Promise<any>} 操作结果
+ * @throws {Error} 最终失败时抛出，error.attempts 为总尝试次数
+ */
+export async function withRetry(fn, policy) {
+  const deadline = Date.now() + policy.deadlineMs;
+
+  for (let attempt = 0; ; attempt++) {
+    const signal = AbortSignal.timeout(Math.max(1, deadline - Date.now()));
+    try {
+      return await fn(attempt, signal);
+    } catch (caught) {
+      const error = signal.aborted ? deadlineError(policy) : caught;
+      error.attempts = attempt + 1;
+      if (!isRetryable(error) || attempt >= policy.maxRetries) throw error;
+
+      const delay = error.retryAfter !== undefined && error.retryAfter !== null
+        ? error.retryAfter * 1000
+        : backoffDelay(attempt, policy);
+      if (Date.now() + delay > deadline) {
+        error.message = `${error.message}（已超出 ${policy.deadlineMs}ms 截止时间）`;
+        throw error;
+      }
+
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+/**
+ * 解析 Retry-After 响应头
+ * @param {string|null} value - 秒数或 HTTP 日期
+ * @returns {number|null} 需要等待的秒数，无法解析时返回 null
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+}
+
+/**
+ * 判断错误是否可重试
+ * @param {Error} error - 错误对象
+ * @returns {boolean} 是否可重试
+ */
+function isRetryable(error) {
+  const status = error.status;
+  return status === undefined || status === 401 || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * 生成到达截止时间、上游请求被中止时的错误
+ * @param {Object} policy - 重试策略
+ * @returns {Error} 错误对象，status 为 408
+ */
+function deadlineError(policy) {
+  const error = new Error("上游请求未在截止时间前返回，已中止");
+  error.status = 408;
+  return error;
+}
+
+/**
+ * 计算带抖动的指数退避时间
+ * @param {number} attempt - 已失败的尝试序号
+ * @param {Object} policy - 重试策略
+ * @returns {number} 等待毫秒数
+ */
+function backoffDelay(attempt, policy) {
+  const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  // 等量抖动：在 [50%, 100%] 区间随机，避免大量分块同时重试
+  return exponential / 2 + Math.random() * exponential / 2;
+}
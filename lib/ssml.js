@@ -0,0 +1,298 @@
+/**
+ * SSML 文档校验与分块
+ *
+ * @description 校验用户提交的完整 SSML 文档，并在安全的元素边界处拆分为多个
+ * 上游请求。每个分块都会重新打开其所在的 voice / prosody / express-as 等上下文元素，
+ * 使拼接后的音频与单次请求保持一致。
+ */
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+// 允许出现的元素
+const ALLOWED_ELEMENTS = new Set([
+  "speak", "voice", "prosody", "break", "phoneme", "say-as", "emphasis", "lang", "sub",
+  "p", "s", "audio", "bookmark", "lexicon",
+  "mstts:express-as", "mstts:silence", "mstts:backgroundaudio", "mstts:viseme", "mstts:audioduration"
+]);
+
+// 可在其子节点之间拆分的容器元素，拆分后每个分块都会重新打开它们
+const CONTAINER_ELEMENTS = new Set(["speak", "voice", "prosody", "mstts:express-as", "lang", "p"]);
+
+// 每个分块都需要重复的上下文元素（放在所属容器的开头）
+const CONTEXT_ELEMENTS = new Set(["lexicon"]);
+
+// XML 词法单元：注释、处理指令、CDATA、标签、文本、孤立的 "<"
+const TOKEN_PATTERN = /<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!\[CDATA\[[\s\S]*?\]\]>|<\/?[^<>]*>|[^<]+|</g;
+const TAG_PATTERN = /^<(\/?)([A-Za-z_][\w:.-]*)([\s\S]*?)(\/?)>$/;
+const ATTRIBUTES_PATTERN = /^(?:\s+[A-Za-z_][\w:.-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*\s*$/;
+const ATTRIBUTE_PATTERN = /([A-Za-z_][\w:.-]*)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const BAD_ENTITY_PATTERN = /&(?!(?:amp|lt|gt|quot|apos|#\d+|#x[0-9a-fA-F]+);)/;
+
+// =================================================================================
+// 解析与校验
+// =================================================================================
+
+/**
+ * 解析并校验 SSML 文档
+ * @param {string} xml - SSML 文档
+ * @returns {Object} speak 根元素节点
+ * @throws {Error} 文档不合法时抛出，消息说明具体原因
+ */
+export function parseSsml(xml) {
+  if (typeof xml !== "string" || !xml.trim()) {
+    throw new Error("SSML 文档不能为空");
+  }
+
+  const stack = [];
+  let root = null;
+
+  for (const [token] of xml.matchAll(TOKEN_PATTERN)) {
+    if (token.startsWith("<!--") || token.startsWith("<?")) continue;
+
+    const parent = stack[stack.length - 1];
+
+    if (token.startsWith("<![CDATA[")) {
+      if (!parent) throw new Error("根元素之外不允许出现 CDATA");
+      parent.children.push({ type: "text", raw: token });
+      continue;
+    }
+
+    if (!token.startsWith("<")) {
+      if (!parent) {
+        if (token.trim()) throw new Error(`根元素之外不允许出现文本: '${token.trim().slice(0, 20)}'`);
+        continue;
+      }
+      if (BAD_ENTITY_PATTERN.test(token)) {
+        throw new Error("文本中的 '&' 必须转义为 &amp;");
+      }
+      parent.children.push({ type: "text", raw: token });
+      continue;
+    }
+
+    const match = TAG_PATTERN.exec(token);
+    if (!match) throw new Error(`无法解析的标签: '${token.slice(0, 30)}'`);
+    const [, closing, name, attributeText, selfClosing] = match;
+
+    if (closing) {
+      if (!parent || parent.name !== name) {
+        throw new Error(`标签不匹配: </${name}>${parent ? `，期望 </${parent.name}>` : ""}`);
+      }
+      stack.pop();
+      continue;
+    }
+
+    if (!ALLOWED_ELEMENTS.has(name)) {
+      throw new Error(`不支持的 SSML 元素 <${name}>`);
+    }
+    if (!ATTRIBUTES_PATTERN.test(attributeText)) {
+      throw new Error(`<${name}> 的属性格式不正确`);
+    }
+
+    const node = {
+      type: "element",
+      name,
+      open: token,
+      attrs: parseAttributes(attributeText),
+      selfClosing: Boolean(selfClosing),
+      children: []
+    };
+
+    if (!parent) {
+      if (root) throw new Error("SSML 只能有一个根元素");
+      if (name !== "speak") throw new Error(`根元素必须是 <speak>，而不是 <${name}>`);
+      root = node;
+    } else {
+      parent.children.push(node);
+    }
+
+    if (!node.selfClosing) stack.push(node);
+  }
+
+  if (stack.length) throw new Error(`标签未闭合: <${stack[stack.length - 1].name}>`);
+  if (!root) throw new Error("缺少 <speak> 根元素");
+
+  validateStructure(root, xml);
+  return root;
+}
+
+/**
+ * 校验 Microsoft TTS 对文档结构的要求
+ * @param {Object} root - speak 根元素
+ * @param {string} xml - 原始文档
+ */
+function validateStructure(root, xml) {
+  for (const attr of ["version", "xml:lang"]) {
+    if (!root.attrs[attr]) throw new Error(`<speak> 缺少必需属性 ${attr}`);
+  }
+  if (/<\/?mstts:/.test(xml) && !root.attrs["xmlns:mstts"]) {
+    throw new Error("文档使用了 mstts: 元素，<speak> 需要声明 xmlns:mstts=\"http://www.w3.org/2001/mstts\"");
+  }
+
+  let hasVoice = false;
+  for (const child of root.children) {
+    if (child.type === "text") {
+      if (textOf(child).trim()) throw new Error("文本必须位于 <voice> 元素内");
+      continue;
+    }
+    if (child.name === "voice") {
+      if (!child.attrs.name) throw new Error("<voice> 缺少 name 属性");
+      hasVoice = true;
+    } else if (child.name !== "mstts:backgroundaudio") {
+      throw new Error(`<${child.name}> 必须位于 <voice> 元素内`);
+    }
+  }
+  if (!hasVoice) throw new Error("SSML 至少需要一个 <voice> 元素");
+}
+
+// =================================================================================
+// 分块
+// =================================================================================
+
+/**
+ * 将 SSML 文档拆分为多个可独立合成的完整文档
+ * @param {string} xml - SSML 文档
+ * @param {number} maxChunkLength - 每个分块的最大朗读字符数
+ * @returns {Array<{ssml: string, text: string}>} 分块（完整 SSML 及其纯文本）
+ * @throws {Error} 文档不合法时抛出
+ */
+export function splitSsml(xml, maxChunkLength) {
+  const root = parseSsml(xml);
+  const units = [];
+  collectUnits(root, [], units);
+
+  const groups = [];
+  let current = [];
+  let currentLength = 0;
+
+  for (const unit of units) {
+    const length = unitLength(unit);
+    if (current.length && length > 0 && currentLength + length > maxChunkLength && currentLength > 0) {
+      groups.push(current);
+      current = [];
+      currentLength = 0;
+    }
+    current.push(unit);
+    currentLength += length;
+  }
+  if (current.length) groups.push(current);
+
+  return groups
+    // 只包含空白文本的分块没有意义
+    .filter(group => group.some(unit => unit.node.type === "element" || textOf(unit.node).trim()))
+    .map(group => ({
+      ssml: serializeGroup(root, group),
+      text: group.map(unit => textOf(unit.node)).join("").replace(/\s+/g, " ").trim()
+    }));
+}
+
+/**
+ * 将文档展开为带上下文路径的最小拆分单元
+ * @param {Object} container - 容器元素
+ * @param {Object[]} path - 从 speak 之下到当前容器的元素路径
+ * @param {Object[]} units - 输出单元列表
+ */
+function collectUnits(container, path, units) {
+  for (const child of container.children) {
+    if (child.type === "text") {
+      // 容器内的文本可在句末标点处拆分
+      for (const raw of child.raw.startsWith("<![CDATA[") ? [child.raw] : child.raw.split(/(?<=[。！？!?；;\n])|(?<=\.)(?=\s)/)) {
+        units.push({ path, node: { type: "text", raw } });
+      }
+    } else if (CONTEXT_ELEMENTS.has(child.name)) {
+      // 上下文元素在打开容器时输出
+      continue;
+    } else if (CONTAINER_ELEMENTS.has(child.name) && !child.selfClosing) {
+      collectUnits(child, [...path, child], units);
+    } else {
+      units.push({ path, node: child });
+    }
+  }
+}
+
+/**
+ * 将一组单元序列化为完整的 SSML 文档，按需打开/关闭上下文容器
+ * @param {Object} root - speak 根元素
+ * @param {Object[]} group - 单元列表
+ * @returns {string} SSML 文档
+ */
+function serializeGroup(root, group) {
+  let out = root.open + contextOf(root);
+  const stack = [];
+
+  for (const { path, node } of group) {
+    let common = 0;
+    while (common < stack.length && common < path.length && stack[common] === path[common]) common++;
+    while (stack.length > common) out += `</${stack.pop().name}>`;
+    for (const container of path.slice(common)) {
+      out += container.open + contextOf(container);
+      stack.push(container);
+    }
+    out += serializeNode(node);
+  }
+
+  while (stack.length) out += `</${stack.pop().name}>`;
+  return `${out}</${root.name}>`;
+}
+
+/**
+ * 输出容器中需要在每个分块重复的上下文元素
+ * @param {Object} container - 容器元素
+ * @returns {string} 序列化后的上下文元素
+ */
+function contextOf(container) {
+  return container.children
+    .filter(child => child.type === "element" && CONTEXT_ELEMENTS.has(child.name))
+    .map(serializeNode)
+    .join("");
+}
+
+/**
+ * 序列化节点
+ * @param {Object} node - 元素或文本节点
+ * @returns {string} XML 片段
+ */
+function serializeNode(node) {
+  if (node.type === "text") return node.raw;
+  if (node.selfClosing) return node.open;
+  return node.open + node.children.map(serializeNode).join("") + `</${node.name}>`;
+}
+
+/**
+ * 计算单元的朗读字符数（不含空白）
+ * @param {Object} unit - 拆分单元
+ * @returns {number} 字符数
+ */
+function unitLength(unit) {
+  return textOf(unit.node).replace(/\s/g, "").length;
+}
+
+/**
+ * 提取节点的纯文本
+ * @param {Object} node - 元素或文本节点
+ * @returns {string} 解码实体后的文本
+ */
+function textOf(node) {
+  if (node.type === "element") return node.children.map(textOf).join("");
+  if (node.raw.startsWith("<![CDATA[")) return node.raw.slice(9, -3);
+  return node.raw
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, "\"")
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * 解析属性
+ * @param {string} attributeText - 标签名之后的属性文本
+ * @returns {Object} 属性名 -> 属性值
+ */
+function parseAttributes(attributeText) {
+  const attrs = {};
+  for (const [, name, doubleQuoted, singleQuoted] of attributeText.matchAll(ATTRIBUTE_PATTERN)) {
+    attrs[name] = doubleQuoted !== undefined ? doubleQuoted : singleQuoted;
+  }
+  return attrs;
+}
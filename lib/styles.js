@@ -0,0 +1,217 @@
+/**
+ * 语音风格与 instructions 解析
+ *
+ * @description 把 OpenAI 的自然语言 instructions 按关键词规则表转换为 mstts:express-as 的
+ * style / styledegree / role 以及语速、音调调整，并按音色支持的风格与角色校验。
+ * 规则表可通过 STYLE_RULES 环境变量扩展；音色不支持请求的风格时回退为 general，
+ * 或在 unsupported_style 为 error 时返回校验错误。
+ */
+
+import { getVoiceCapabilities } from "./voices.js";
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+const DEFAULT_STYLE = "general";
+const UNSUPPORTED_STYLE_MODES = ["fallback", "error"];
+const MIN_STYLE_DEGREE = 0.01;
+const MAX_STYLE_DEGREE = 2;
+
+// 内置规则：instructions 中出现任一关键词（英文按单词开头匹配，不区分大小写）时应用该规则。
+// 每一项设置（style / style_degree / role / speed / pitch）取第一个命中的规则，speed / pitch 为倍数。
+const DEFAULT_STYLE_RULES = [
+  // 风格
+  { keywords: ["cheerful", "happy", "upbeat", "joyful", "开心", "高兴", "愉快", "欢快"], style: "cheerful" },
+  { keywords: ["excited", "enthusiastic", "energetic", "兴奋", "激动", "热情"], style: "excited" },
+  { keywords: ["sad", "sorrowful", "melancholy", "悲伤", "难过", "伤心"], style: "sad" },
+  { keywords: ["angry", "furious", "annoyed", "生气", "愤怒"], style: "angry" },
+  { keywords: ["whisper", "耳语", "悄悄", "小声"], style: "whispering" },
+  { keywords: ["shout", "yell", "大喊", "喊叫"], style: "shouting" },
+  { keywords: ["fearful", "scared", "afraid", "nervous", "害怕", "恐惧", "紧张"], style: "fearful" },
+  { keywords: ["calm", "soothing", "relaxed", "平静", "冷静", "舒缓"], style: "calm" },
+  { keywords: ["gentle", "soft", "tender", "温柔", "轻柔"], style: "gentle" },
+  { keywords: ["affectionate", "loving", "亲昵", "撒娇"], style: "affectionate" },
+  { keywords: ["friendly", "warm", "友好", "亲切"], style: "friendly" },
+  { keywords: ["empathetic", "sympathetic", "共情", "同情"], style: "empathetic" },
+  { keywords: ["apologetic", "sorry", "抱歉", "歉意"], style: "sorry" },
+  { keywords: ["serious", "stern", "严肃", "认真"], style: "serious" },
+  { keywords: ["news", "anchor", "新闻", "播报"], style: "newscast" },
+  { keywords: ["customer service", "support agent", "客服"], style: "customerservice" },
+  { keywords: ["narrat", "storytell", "audiobook", "旁白", "讲故事", "叙述"], style: "narration-relaxed" },
+  { keywords: ["assistant", "助手", "助理"], style: "assistant" },
+  { keywords: ["chat", "casual", "conversational", "聊天", "随意", "口语"], style: "chat" },
+  // 强度
+  { keywords: ["very", "extremely", "really", "intensely", "非常", "特别", "极其", "十分"], style_degree: 1.5 },
+  { keywords: ["slightly", "a bit", "a little", "subtle", "mildly", "稍微", "有点", "略带", "微微"], style_degree: 0.6 },
+  // 角色
+  { keywords: ["little girl", "young girl", "小女孩"], role: "Girl" },
+  { keywords: ["little boy", "young boy", "小男孩"], role: "Boy" },
+  { keywords: ["old man", "elderly man", "grandfather", "grandpa", "老爷爷", "老大爷"], role: "SeniorMale" },
+  { keywords: ["old woman", "elderly woman", "grandmother", "grandma", "老奶奶", "老太太"], role: "SeniorFemale" },
+  // 语速与音调
+  { keywords: ["slowly", "slow pace", "慢速", "缓慢", "慢一点", "慢慢"], speed: 0.85 },
+  { keywords: ["quickly", "fast", "rapid", "brisk", "快速", "语速快", "快一点"], speed: 1.15 },
+  { keywords: ["deep voice", "low-pitched", "lower pitch", "低沉", "声音低"], pitch: 0.9 },
+  { keywords: ["high-pitched", "higher pitch", "声音高", "尖细"], pitch: 1.1 }
+];
+
+const STYLE_PATTERN = /^[a-z][a-z-]*$/i;
+const ROLE_PATTERN = /^[a-z]+$/i;
+
+// =================================================================================
+// 请求解析
+// =================================================================================
+
+/**
+ * 解析请求中的风格参数与 instructions
+ *
+ * 显式的 style / style_degree / role 优先于 instructions 推断出的设置；
+ * instructions 推断出的语速、音调为倍数，叠加在请求的 speed / pitch 上。
+ *
+ * @param {Object} params - 请求参数 { style, style_degree, role, instructions, unsupported_style }
+ * @param {Object} [env] - 环境变量，支持 STYLE_RULES（规则数组 JSON）与 UNSUPPORTED_STYLE（fallback / error）
+ * @returns {{style: string, styleDegree: number|null, role: string|null, speed: number, pitch: number, explicit: {style: boolean, role: boolean}, strict: boolean}}
+ *   风格设置（尚未按音色校验）
+ * @throws {Error} 参数无效时抛出，error.param 指明出错的参数
+ */
+export function resolveExpression({ style, style_degree, role, instructions, unsupported_style }, env = {}) {
+  const mode = unsupported_style ?? env.UNSUPPORTED_STYLE ?? "fallback";
+  if (!UNSUPPORTED_STYLE_MODES.includes(mode)) {
+    throw paramError(`无效的 unsupported_style '${mode}'，可选值: ${UNSUPPORTED_STYLE_MODES.join(", ")}`, "unsupported_style");
+  }
+  if (instructions !== undefined && typeof instructions !== "string") {
+    throw paramError("instructions 必须是字符串", "instructions");
+  }
+
+  const inferred = matchRules(instructions || "", [...getConfiguredRules(env), ...DEFAULT_STYLE_RULES]);
+
+  if (style !== undefined && (typeof style !== "string" || !STYLE_PATTERN.test(style))) {
+    throw paramError(`无效的 style '${style}'`, "style");
+  }
+  if (role !== undefined && role !== null && (typeof role !== "string" || !ROLE_PATTERN.test(role))) {
+    throw paramError(`无效的 role '${role}'`, "role");
+  }
+  const styleDegree = style_degree ?? inferred.style_degree ?? null;
+  if (styleDegree !== null) {
+    const value = Number(styleDegree);
+    if (!Number.isFinite(value) || value < MIN_STYLE_DEGREE || value > MAX_STYLE_DEGREE) {
+      throw paramError(`style_degree 必须是 ${MIN_STYLE_DEGREE} 到 ${MAX_STYLE_DEGREE} 之间的数字`, "style_degree");
+    }
+  }
+
+  return {
+    style: style ?? inferred.style ?? DEFAULT_STYLE,
+    styleDegree: styleDegree === null ? null : Number(styleDegree),
+    role: role ?? inferred.role ?? null,
+    speed: inferred.speed ?? 1,
+    pitch: inferred.pitch ?? 1,
+    explicit: { style: style !== undefined, role: role !== undefined && role !== null },
+    strict: mode === "error"
+  };
+}
+
+/**
+ * 按音色支持的风格与角色确定最终的 express-as 设置
+ *
+ * 音色不支持的风格回退为 general、角色被忽略；unsupported_style 为 error 时，
+ * 显式请求的风格或角色不受支持则抛出错误（instructions 推断出的设置始终静默回退）。
+ * 未知能力的音色（不在音色目录中）不做校验。
+ *
+ * @param {Object} expression - resolveExpression 的返回值
+ * @param {string} voiceName - Microsoft 音色名称
+ * @returns {{style: string, styleDegree: number|null, role: string|null}} express-as 设置
+ * @throws {Error} 严格模式下风格或角色不受支持时抛出，error.param 为 style 或 role
+ */
+export function expressionForVoice(expression, voiceName) {
+  const capabilities = getVoiceCapabilities(voiceName);
+  let { style, styleDegree, role } = expression;
+
+  if (capabilities && style.toLowerCase() !== DEFAULT_STYLE) {
+    const supported = capabilities.styles.find(name => name.toLowerCase() === style.toLowerCase());
+    if (!supported && expression.strict && expression.explicit.style) {
+      throw paramError(`音色 ${voiceName} 不支持风格 '${style}'，可用风格: ${capabilities.styles.join(", ") || "无"}`, "style");
+    }
+    style = supported || DEFAULT_STYLE;
+  }
+
+  if (capabilities && role) {
+    const supported = capabilities.roles.find(name => name.toLowerCase() === role.toLowerCase());
+    if (!supported && expression.strict && expression.explicit.role) {
+      throw paramError(`音色 ${voiceName} 不支持角色 '${role}'，可用角色: ${capabilities.roles.join(", ") || "无"}`, "role");
+    }
+    role = supported || null;
+  }
+
+  // general 没有可调节的强度
+  return { style, styleDegree: style.toLowerCase() === DEFAULT_STYLE ? null : styleDegree, role };
+}
+
+// =================================================================================
+// 内部工具函数
+// =================================================================================
+
+/**
+ * 依次匹配规则，每项设置取第一个命中的规则
+ * @param {string} instructions - 自然语言描述
+ * @param {Array<Object>} rules - 规则列表
+ * @returns {Object} 命中的设置 { style, style_degree, role, speed, pitch }
+ */
+function matchRules(instructions, rules) {
+  const result = {};
+  if (!instructions.trim()) return result;
+
+  const text = instructions.toLowerCase();
+  for (const rule of rules) {
+    if (!rule.keywords.some(keyword => containsKeyword(text, keyword.toLowerCase()))) continue;
+    for (const field of ["style", "style_degree", "role", "speed", "pitch"]) {
+      if (rule[field] !== undefined && result[field] === undefined) result[field] = rule[field];
+    }
+  }
+  return result;
+}
+
+/**
+ * 判断文本是否包含关键词：以字母开头的关键词须位于单词开头，其余按子串匹配
+ * @param {string} text - 小写文本
+ * @param {string} keyword - 小写关键词
+ * @returns {boolean} 是否包含
+ */
+function containsKeyword(text, keyword) {
+  if (!/^[a-z]/.test(keyword)) return text.includes(keyword);
+  const escaped = keyword.replace(/[-\/\\^$*+?.()|[\]{}]/g, "\\$&");
+  return new RegExp(`(?:^|[^a-z])${escaped}`).test(text);
+}
+
+/**
+ * 读取 STYLE_RULES 环境变量中的自定义规则，优先于内置规则
+ * @param {Object} env - 环境变量，STYLE_RULES 为规则数组 JSON，如 [{ "keywords": ["温暖"], "style": "gentle" }]
+ * @returns {Array<Object>} 有效的规则
+ */
+function getConfiguredRules(env) {
+  if (!env.STYLE_RULES) return [];
+  try {
+    const parsed = typeof env.STYLE_RULES === "string" ? JSON.parse(env.STYLE_RULES) : env.STYLE_RULES;
+    return (Array.isArray(parsed) ? parsed : []).filter(rule =>
+      rule && Array.isArray(rule.keywords) && rule.keywords.every(keyword => typeof keyword === "string" && keyword) &&
+      (rule.style === undefined || STYLE_PATTERN.test(rule.style)) &&
+      (rule.role === undefined || ROLE_PATTERN.test(rule.role)) &&
+      ["style_degree", "speed", "pitch"].every(field => rule[field] === undefined || Number(rule[field]) > 0)
+    );
+  } catch (error) {
+    console.warn(`STYLE_RULES 解析失败，仅使用内置规则: ${error.message}`);
+    return [];
+  }
+}
+
+/**
+ * 生成带参数名的校验错误
+ * @param {string} message - 错误消息
+ * @param {string} param - 出错的请求参数
+ * @returns {Error} 错误对象
+ */
+function paramError(message, param) {
+  const error = new Error(message);
+  error.param = param;
+  return error;
+}
@@ -0,0 +1,162 @@
+/**
+ * 字幕生成工具
+ *
+ * @description 根据文本块及其音频的解码时长生成 SRT / WebVTT 字幕。
+ * 句子粒度下，每个文本块的时长按句子字数比例分配。
+ * 也可以解析已有的 SRT / WebVTT 文件，用于按时间轴配音。
+ */
+
+// 字幕格式 -> Content-Type
+export const SUBTITLE_CONTENT_TYPES = {
+  srt: "application/x-subrip; charset=utf-8",
+  vtt: "text/vtt; charset=utf-8"
+};
+
+/**
+ * 由文本块及对应音频时长生成字幕条目
+ * @param {Array<string|{text: string}>} textChunks - 文本块数组（SSML 分块取其纯文本）
+ * @param {number[]} durations - 每个文本块的音频时长（秒）
+ * @param {string} granularity - 粒度: "chunk" 每块一条, "sentence" 按句拆分
+ * @returns {Array<{index: number, start: number, end: number, text: string}>} 字幕条目
+ */
+export function buildCues(textChunks, durations, granularity = "sentence") {
+  const cues = [];
+  let offset = 0;
+
+  textChunks.forEach((item, i) => {
+    const chunk = typeof item === "string" ? item : item.text;
+    const duration = durations[i] || 0;
+    const parts = granularity === "sentence" ? splitSentences(chunk) : [stripTags(chunk)];
+    const weights = parts.map(part => Math.max(1, part.replace(/\s/g, "").length));
+    const totalWeight = weights.reduce((sum, w) => sum + w, 0);
+
+    let start = offset;
+    parts.forEach((text, j) => {
+      const end = start + duration * weights[j] / totalWeight;
+      if (text) cues.push({ index: cues.length + 1, start, end, text });
+      start = end;
+    });
+
+    offset += duration;
+  });
+
+  return cues;
+}
+
+/**
+ * 将字幕条目格式化为字幕文件
+ * @param {Array<Object>} cues - 字幕条目
+ * @param {string} format - "srt" 或 "vtt"
+ * @returns {string} 字幕文件内容
+ */
+export function formatSubtitles(cues, format) {
+  if (format === "vtt") {
+    const body = cues
+      .map(cue => `${cue.index}\n${formatTimestamp(cue.start, ".")} --> ${formatTimestamp(cue.end, ".")}\n${cue.text}`)
+      .join("\n\n");
+    return `WEBVTT\n\n${body}\n`;
+  }
+
+  return cues
+    .map(cue => `${cue.index}\n${formatTimestamp(cue.start, ",")} --> ${formatTimestamp(cue.end, ",")}\n${cue.text}`)
+    .join("\n\n") + "\n";
+}
+
+/**
+ * 解析 SRT / WebVTT 字幕文件
+ *
+ * 忽略序号行、WebVTT 的 NOTE / STYLE / REGION 块与时间轴后的设置项，
+ * 并去除台词中的格式标签（如 <i>、<v 角色>、{\an8}）。多行台词以换行连接。
+ *
+ * @param {string} content - 字幕文件内容
+ * @param {string} format - "srt" 或 "vtt"
+ * @returns {Array<{index: number, start: number, end: number, text: string}>} 按开始时间排序的字幕条目（秒）
+ * @throws {Error} 时间轴格式不正确或没有任何字幕条目时抛出
+ */
+export function parseSubtitles(content, format) {
+  const blocks = String(content)
+    .replace(/^\uFEFF/, "")
+    .replace(/\r\n?/g, "\n")
+    .split(/\n{2,}/);
+  const cues = [];
+
+  blocks.forEach((block, blockIndex) => {
+    const lines = block.split("\n").filter(line => line.trim());
+    if (lines.length === 0) return;
+    if (format === "vtt" && /^(WEBVTT|NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+
+    const timingIndex = lines.findIndex(line => line.includes("-->"));
+    if (timingIndex === -1) {
+      throw new Error(`第 ${blockIndex + 1} 个字幕块缺少时间轴（HH:MM:SS,mmm --> HH:MM:SS,mmm）`);
+    }
+
+    const [startText, endText] = lines[timingIndex].split("-->").map(part => part.trim().split(/\s+/)[0]);
+    const start = parseTimestamp(startText);
+    const end = parseTimestamp(endText);
+    if (start === null || end === null) {
+      throw new Error(`无法解析时间轴 '${lines[timingIndex].trim()}'`);
+    }
+    if (end <= start) {
+      throw new Error(`时间轴 '${lines[timingIndex].trim()}' 的结束时间必须晚于开始时间`);
+    }
+
+    const text = lines.slice(timingIndex + 1)
+      .map(line => line.replace(/<[^>]+>|\{\\[^}]*\}/g, "").trim())
+      .filter(Boolean)
+      .join("\n");
+    if (text) cues.push({ index: cues.length + 1, start, end, text });
+  });
+
+  if (cues.length === 0) {
+    throw new Error("字幕文件中没有任何带台词的字幕条目");
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * 解析时间戳 (HH:MM:SS,mmm、HH:MM:SS.mmm 或 MM:SS.mmm)
+ * @param {string} text - 时间戳
+ * @returns {number|null} 秒数，格式不正确时返回 null
+ */
+function parseTimestamp(text) {
+  const match = /^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d{1,3}))?$/.exec(text || "");
+  if (!match) return null;
+  const [, hours = "0", minutes, seconds, millis = "0"] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(millis.padEnd(3, "0")) / 1000;
+}
+
+/**
+ * 格式化时间戳 (HH:MM:SS,mmm 或 HH:MM:SS.mmm)
+ * @param {number} seconds - 秒数
+ * @param {string} separator - 毫秒分隔符，SRT 为 ","，VTT 为 "."
+ * @returns {string} 时间戳
+ */
+function formatTimestamp(seconds, separator) {
+  const totalMs = Math.round(seconds * 1000);
+  const ms = totalMs % 1000;
+  const totalSeconds = Math.floor(totalMs / 1000);
+  const pad = (n, len = 2) => String(n).padStart(len, "0");
+  return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * 按句末标点拆分文本（标点保留在句尾）
+ * @param {string} text - 文本块
+ * @returns {string[]} 句子数组
+ */
+function splitSentences(text) {
+  // 英文句号需后跟空白才视为句末，避免拆开 "3.5" 之类的小数
+  return stripTags(text)
+    .split(/(?<=[。！？!?；;])(?![。！？!?；;”」』])|(?<=\.)\s+|\n+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 移除 SSML 标签（如 break），仅保留可显示的文本
+ * @param {string} text - 文本
+ * @returns {string} 纯文本
+ */
+function stripTags(text) {
+  return text.replace(/<[^>]+>/g, "").trim();
+}
@@ -0,0 +1,645 @@
+/**
+ * 语音合成核心流程
+ *
+ * @description 解析与 /v1/audio/speech 相同的请求参数并生成文本块，
+ * 以滑动窗口并发合成（含缓存与重试），并按输出格式拼接音频。
+ * 语音合成路由与异步任务共用这一流程。
+ */
+
+import { resolveAudioFormat, createAudioEncoder, createMp3InfoFrame } from "./audio.js";
+import { withRetry } from "./retry.js";
+import { synthesizeWithFailover } from "./providers.js";
+import { resolveVoice, resolveSpeaker } from "./voices.js";
+import { splitSsml } from "./ssml.js";
+import { parseDialogueScript, normalizeSegments } from "./dialogue.js";
+import { getCacheKey, sha256Hex } from "./cache.js";
+import { resolvePronunciation, applyReplacements, applyLexicon } from "./pronunciation.js";
+import { resolveNormalization, normalizeText } from "./normalize.js";
+import { resolveLanguageVoices, splitByLanguage, localeOfVoice } from "./language.js";
+import { parseSubtitles } from "./subtitles.js";
+import { resolveChunking, splitIntoChunks } from "./chunker.js";
+import { resolveExpression, expressionForVoice } from "./styles.js";
+import { logChunk } from "./tracing.js";
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+// 并发配置 - 控制同时进行的上游请求数量以避免 EdgeOne 限制
+export const DEFAULT_CONCURRENCY = 10; // 滑动窗口大小
+export const DEFAULT_CHUNK_SIZE = 300; // 默认文本分块大小
+
+// 语速与音调的取值范围（倍数）
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 2.0;
+const MIN_PITCH = 0.5;
+const MAX_PITCH = 1.5;
+const PROSODY_RANGES = { speed: [MIN_SPEED, MAX_SPEED], pitch: [MIN_PITCH, MAX_PITCH] };  // 同样用于校验对话片段、限制叠加 instructions 后的结果
+
+// 默认文本清理选项
+const DEFAULT_CLEANING_OPTIONS = {
+  remove_markdown: true,      // 移除 Markdown
+  remove_emoji: true,         // 移除 Emoji
+  remove_urls: true,          // 移除 URL
+  remove_line_breaks: true,   // 移除换行符
+  remove_citation_numbers: true, // 移除引用数字
+  custom_keywords: "",        // 自定义关键词
+  normalize: false            // 数字、日期、货币等改写为读法 (true 或 { language, categories, mode })
+};
+
+// =================================================================================
+// 请求解析
+// =================================================================================
+
+/**
+ * 解析语音合成参数，生成待合成的文本块
+ *
+ * SSML 文档按元素边界分块，对话按片段渲染，普通文本先清理再按 chunk_strategy 分块；
+ * 开启 auto_language 时普通文本先按语言切分，各语言片段使用各自的音色；
+ * SRT / WebVTT 字幕每条台词单独成块，并附带各自的时间轴。
+ *
+ * @param {Object} params - 请求体中的合成参数（与 /v1/audio/speech 相同）
+ * @param {Object} env - 环境变量
+ * @returns {{textChunks: Array<string|{ssml: string, text: string}>, ttsArgs: any[], format: Object, voices: string[], characters: number, cues: Array<Object>|null}}
+ *   合成计划：文本块、TTS 参数、输出格式、用到的全部音色、朗读字符数，以及字幕输入时每个文本块的时间轴
+ * @throws {Error} 参数无效时抛出，error.param 指明出错的参数
+ */
+export function prepareSpeech(params, env) {
+  const {
+    model = "tts-1",                    // 模型名称
+    input,                              // 输入文本
+    input_format = "text",              // 输入格式 (text / ssml / script / srt / vtt)
+    ssml,                               // 完整 SSML 文档 (等同于 input_format: "ssml")
+    segments,                           // 对话片段 [{ voice, text, style, speed, pitch }]
+    speakers = {},                      // 对话脚本角色配置 { 角色名: { voice, style, speed, pitch } }
+    voice,                              // 语音 (别名或 Microsoft 音色名称)
+    auto_language = false,              // 按语言切分文本并切换音色 (true 或 { 语言: 音色 })
+    speed = 1.0,                        // 语速 (0.25-2.0)
+    pitch = 1.0,                        // 音调 (0.5-1.5)
+    style,                              // 语音风格 (默认 general)
+    style_degree,                       // 风格强度 (0.01-2)
+    role,                               // 角色扮演 (如 Girl、SeniorMale)
+    instructions,                       // 自然语言的朗读要求，按规则表转换为风格、角色与语速音调
+    unsupported_style,                  // 音色不支持所请求风格时: fallback 回退为 general / error 返回错误
+    response_format = "mp3",            // 输出格式
+    sample_rate,                        // 采样率 (可选)
+    bitrate,                            // 码率 (可选，仅 mp3)
+    chunk_size = DEFAULT_CHUNK_SIZE,    // 分块大小（字符数）
+    chunk_strategy,                     // 分块边界 (paragraph / sentence / clause)
+    max_chunk_bytes,                    // 单个分块最终 SSML 的字节数上限
+    cleaning_options = {}               // 文本清理选项
+  } = params;
+
+  if (!input && !ssml && !segments) {
+    throw paramError("'input' 是必需参数", "input");
+  }
+  if (input !== undefined && typeof input !== "string") {
+    throw paramError("'input' 必须是字符串", "input");
+  }
+  const speedValue = Number(speed);
+  if (!Number.isFinite(speedValue) || speedValue < MIN_SPEED || speedValue > MAX_SPEED) {
+    throw paramError(`speed 必须是 ${MIN_SPEED} 到 ${MAX_SPEED} 之间的数字`, "speed");
+  }
+  const pitchValue = Number(pitch);
+  if (!Number.isFinite(pitchValue) || pitchValue < MIN_PITCH || pitchValue > MAX_PITCH) {
+    throw paramError(`pitch 必须是 ${MIN_PITCH} 到 ${MAX_PITCH} 之间的数字`, "pitch");
+  }
+  if (!["text", "ssml", "script", "srt", "vtt"].includes(input_format)) {
+    throw paramError(`无效的 input_format '${input_format}'，可选值: text, ssml, script, srt, vtt`, "input_format");
+  }
+
+  // 合并默认清理选项，并汇总替换规则与发音词典
+  const finalCleaningOptions = { ...DEFAULT_CLEANING_OPTIONS, ...cleaning_options };
+  const pronunciation = resolvePronunciation(finalCleaningOptions, env);
+
+  // 语音与输出格式映射，出错时 error.param 已由各模块设置
+  const finalVoice = resolveVoice(model, voice, env);
+  const format = resolveAudioFormat(response_format, sample_rate, bitrate);
+  const normalization = resolveNormalization(finalCleaningOptions.normalize, finalVoice);
+  const chunking = resolveChunking({ chunk_strategy, chunk_size, max_chunk_bytes });
+  const styleParams = { style, style_degree, role, instructions, unsupported_style };
+  const expression = resolveExpression(styleParams, env);
+
+  // 参数转换为 Microsoft TTS 格式，instructions 推断出的语速、音调倍数叠加在请求值上，结果仍限制在取值范围内
+  const rate = ((clampRange(speedValue * expression.speed, PROSODY_RANGES.speed) - 1) * 100).toFixed(0);        // 语速转换
+  const finalPitch = ((clampRange(pitchValue * expression.pitch, PROSODY_RANGES.pitch) - 1) * 100).toFixed(0);  // 音调转换
+
+  let textChunks;
+  let cues = null;
+  let finalStyle = null;  // 请求音色的风格设置，仅普通文本与字幕使用（对话与多语言按各片段的音色校验）
+  const ssmlInput = ssml || (input_format === "ssml" ? input : null);
+  if (ssmlInput) {
+    try {
+      textChunks = splitSsml(ssmlInput, chunking.maxLength);
+    } catch (err) {
+      throw paramError(`SSML 无效: ${err.message}`, ssml ? "ssml" : "input");
+    }
+  } else if (segments || input_format === "script") {
+    let dialogue;
+    try {
+      dialogue = segments ? normalizeSegments(segments, PROSODY_RANGES) : parseDialogueScript(input, speakers, PROSODY_RANGES);
+      dialogue = dialogue.map(segment => ({
+        ...segment,
+        voice: segment.voice ? resolveSpeaker(segment.voice, env) : finalVoice
+      }));
+    } catch (err) {
+      throw paramError(`对话无效: ${err.message}`, segments ? "segments" : "input");
+    }
+    // 片段的 style 替换请求的 style，其余风格设置与 instructions 对所有片段生效
+    const expressionOf = segmentStyle => resolveExpression({ ...styleParams, style: segmentStyle ?? style }, env);
+    textChunks = buildDialogueChunks(dialogue, { speed: speedValue, pitch: pitchValue, expressionOf }, finalCleaningOptions, pronunciation, chunking);
+  } else if (input_format === "srt" || input_format === "vtt") {
+    if (format.name === "opus") {
+      throw paramError("字幕配音需要在台词之间插入静音，暂不支持 opus，请使用 mp3、wav、flac 或 pcm", "response_format");
+    }
+    let subtitleCues;
+    try {
+      subtitleCues = parseSubtitles(input, input_format);
+    } catch (err) {
+      throw paramError(`字幕无效: ${err.message}`, "input");
+    }
+    // 每条台词单独成块（配音时可能按条调整语速，因此总是生成 SSML 分块）
+    const lines = subtitleCues
+      .map(cue => ({ cue, text: cleanText(cue.text, finalCleaningOptions, pronunciation.replacements, normalization) }))
+      .filter(line => line.text);
+    if (lines.length === 0) throw paramError("字幕清理后没有可朗读的台词", "input");
+    finalStyle = expressionForVoice(expression, finalVoice);
+    textChunks = lines.map(({ text }) => ({ ssml: getSsml(text, finalVoice, rate, finalPitch, finalStyle, pronunciation.lexicon), text }));
+    cues = lines.map(({ cue }) => ({ index: cue.index, start: cue.start, end: cue.end }));
+  } else if (auto_language) {
+    const languageVoices = resolveLanguageVoices(auto_language, finalVoice, env);
+    const cleanedInput = cleanText(input, finalCleaningOptions, pronunciation.replacements, null, chunking.strategy === "paragraph");
+    textChunks = buildLanguageChunks(cleanedInput, languageVoices, finalVoice, [rate, finalPitch, expression], finalCleaningOptions, pronunciation, chunking);
+  } else {
+    const cleanedInput = cleanText(input, finalCleaningOptions, pronunciation.replacements, normalization, chunking.strategy === "paragraph");
+    finalStyle = expressionForVoice(expression, finalVoice);
+    textChunks = splitIntoChunks(cleanedInput, {
+      ...chunking,
+      render: text => getSsml(text, finalVoice, rate, finalPitch, finalStyle, pronunciation.lexicon)
+    });
+    // 有发音词典时直接生成带 <phoneme> / <sub> 标记的 SSML 分块
+    if (pronunciation.lexicon.length) {
+      textChunks = textChunks.map(text => ({
+        ssml: getSsml(text, finalVoice, rate, finalPitch, finalStyle, pronunciation.lexicon),
+        text
+      }));
+    }
+  }
+
+  return {
+    textChunks,
+    ttsArgs: [finalVoice, rate, finalPitch, finalStyle ?? expression.style, format.upstream],
+    format,
+    voices: collectChunkVoices(textChunks, finalVoice),
+    characters: textChunks.reduce((sum, chunk) => sum + chunkText(chunk).length, 0),
+    cues
+  };
+}
+
+/**
+ * 将对话片段渲染为带各自音色设置的 SSML 分块
+ * @param {Array<Object>} dialogue - 已解析音色的片段 [{ voice, text, style, speed, pitch }]
+ * @param {Object} defaults - 片段未指定时使用的 { speed, pitch }，以及按片段 style 解析风格设置的 expressionOf
+ * @param {Object} cleaningOptions - 文本清理选项（规范化语言按各片段的音色推断）
+ * @param {Object} pronunciation - resolvePronunciation 返回的替换规则与发音词典
+ * @param {Object} chunking - resolveChunking 返回的分块设置
+ * @returns {Array<{ssml: string, text: string}>} 按对话顺序排列的分块
+ */
+function buildDialogueChunks(dialogue, defaults, cleaningOptions, pronunciation, chunking) {
+  return dialogue.flatMap(segment => {
+    const expression = defaults.expressionOf(segment.style);
+    const speed = clampRange(Number(segment.speed ?? defaults.speed) * expression.speed, PROSODY_RANGES.speed);
+    const pitch = clampRange(Number(segment.pitch ?? defaults.pitch) * expression.pitch, PROSODY_RANGES.pitch);
+    const rate = ((speed - 1) * 100).toFixed(0);
+    const finalPitch = ((pitch - 1) * 100).toFixed(0);
+    const style = expressionForVoice(expression, segment.voice);
+    const normalization = resolveNormalization(cleaningOptions.normalize, segment.voice);
+
+    const render = text => getSsml(text, segment.voice, rate, finalPitch, style, pronunciation.lexicon);
+
+    const cleanedText = cleanText(segment.text, cleaningOptions, pronunciation.replacements, normalization, chunking.strategy === "paragraph");
+    return splitIntoChunks(cleanedText, { ...chunking, render })
+      .map(text => ({ ssml: render(text), text }));
+  });
+}
+
+/**
+ * 将多语言文本按语言切分并渲染为带各自音色与 xml:lang 的 SSML 分块，每个分块只包含一种语言
+ * @param {string} text - 已清理（未规范化）的文本
+ * @param {Object} languageVoices - 语言代码 -> Microsoft 音色名称
+ * @param {string} defaultVoice - 未识别出语言的片段使用的音色
+ * @param {Array} prosody - [rate, pitch, expression]，expression 为 resolveExpression 的返回值，按各片段音色校验
+ * @param {Object} cleaningOptions - 文本清理选项（规范化语言按各片段的音色推断）
+ * @param {Object} pronunciation - resolvePronunciation 返回的替换规则与发音词典
+ * @param {Object} chunking - resolveChunking 返回的分块设置
+ * @returns {Array<{ssml: string, text: string}>} 按原文顺序排列的分块
+ */
+function buildLanguageChunks(text, languageVoices, defaultVoice, prosody, cleaningOptions, pronunciation, chunking) {
+  const [rate, pitch, expression] = prosody;
+
+  return splitByLanguage(text, Object.keys(languageVoices)).flatMap(run => {
+    const voiceName = languageVoices[run.language] ?? defaultVoice;
+    const style = expressionForVoice(expression, voiceName);
+    const normalized = normalizeText(run.text, resolveNormalization(cleaningOptions.normalize, voiceName));
+    const render = chunk => getSsml(chunk, voiceName, rate, pitch, style, pronunciation.lexicon, localeOfVoice(voiceName));
+    return splitIntoChunks(normalized, { ...chunking, render }).map(chunk => ({ ssml: render(chunk), text: chunk }));
+  });
+}
+
+// =================================================================================
+// 核心 TTS 逻辑 (滑动窗口并发)
+// =================================================================================
+
+/**
+ * 合成所有文本块的音频
+ * @param {string[]} textChunks - 文本块数组
+ * @param {Object} synthOptions - 合成选项 { concurrency, retryPolicy, cache, cacheStats, etag }
+ * @param {...any} ttsArgs - TTS 参数
+ * @returns {Promise<Uint8Array[]>} 按顺序排列的音频数据
+ */
+export async function synthesizeChunks(textChunks, synthOptions, ...ttsArgs) {
+  const allAudioChunks = [];
+  await synthesizeInOrder(textChunks, synthOptions, ttsArgs, bytes => {
+    allAudioChunks.push(bytes);
+  });
+  return allAudioChunks;
+}
+
+/**
+ * 以滑动窗口并发合成文本块，并按原始顺序逐个交付音频
+ *
+ * 窗口从下一个待交付的块开始，最多同时进行 concurrency 个上游请求；
+ * 队首的块完成并交付后，窗口向后滑动并立即补充新的请求，不再等待整批完成。
+ *
+ * @param {string[]} chunks - 文本块数组
+ * @param {Object} synthOptions - 合成选项 { concurrency, retryPolicy, cache, cacheStats, etag }
+ * @param {any[]} ttsArgs - TTS 参数
+ * @param {function(Uint8Array, number): (void|Promise<void>)} onAudio - 按顺序接收每个块的音频
+ */
+export async function synthesizeInOrder(chunks, synthOptions, ttsArgs, onAudio) {
+  const concurrency = Math.max(1, Number(synthOptions.concurrency) || DEFAULT_CONCURRENCY);
+  const inFlight = new Map();
+  let next = 0;
+
+  for (let i = 0; i < chunks.length; i++) {
+    while (next < chunks.length && next < i + concurrency) {
+      const promise = fetchChunkAudio(chunks[next], next, chunks.length, synthOptions, ...ttsArgs);
+      // 尚未轮到交付的块若先失败，避免产生未处理的 rejection
+      promise.catch(() => {});
+      inFlight.set(next++, promise);
+    }
+
+    const bytes = await inFlight.get(i);
+    inFlight.delete(i);
+    await onAudio(bytes, i);
+  }
+}
+
+/**
+ * 合并所有音频数据，容器格式只写入一次准确的文件头
+ * @param {Uint8Array[]} audioChunks - 按顺序排列的音频数据
+ * @param {Object} format - 输出格式描述
+ * @param {Object} [options] - 拼接选项 { xingHeader: mp3 是否在文件开头写入记录总帧数与 TOC 的 Info 帧 }
+ * @returns {Blob} 完整音频
+ */
+export function assembleAudio(audioChunks, format, { xingHeader = false } = {}) {
+  const dataLength = audioChunks.reduce((sum, bytes) => sum + bytes.length, 0);
+  const encoder = createAudioEncoder(format, dataLength);
+  const parts = [
+    ...encoder.start(),
+    ...audioChunks.flatMap(bytes => encoder.write(bytes)),
+    ...encoder.end()
+  ];
+  if (format.name === "mp3" && xingHeader) parts.unshift(createMp3InfoFrame(parts));
+  return new Blob(parts, { type: format.contentType });
+}
+
+/**
+ * 获取单个文本块的音频，并在提供 trace 时输出该文本块的日志
+ * @param {string|{ssml: string}} text - 文本内容或 SSML 分块
+ * @param {number} index - 文本块序号（从 0 开始）
+ * @param {number} total - 文本块总数
+ * @param {Object} synthOptions - 合成选项 { retryPolicy, cache, cacheStats, upstream, trace }
+ * @param {...any} ttsArgs - TTS 参数
+ * @returns {Promise<Uint8Array>} 音频数据
+ */
+export async function fetchChunkAudio(text, index, total, synthOptions, ...ttsArgs) {
+  const startedAt = Date.now();
+  const trace = synthOptions.trace ?? null;
+  const outcome = { trace, cache: synthOptions.cache ? "miss" : "bypass", attempts: 0, provider: null, status: null };
+  let failure = null;
+
+  try {
+    return await loadChunkAudio(text, index, total, synthOptions, outcome, ...ttsArgs);
+  } catch (error) {
+    failure = error;
+    throw error;
+  } finally {
+    logChunk(trace, {
+      index,
+      total,
+      voice: collectChunkVoices([text], ttsArgs[0]).join(","),
+      characters: chunkText(text).length,
+      latency_ms: Date.now() - startedAt,
+      cache: outcome.cache,
+      attempts: outcome.attempts,
+      provider: outcome.provider,
+      upstream_status: failure ? failure.status ?? null : outcome.status,
+      ...(failure ? { error: failure.message } : {})
+    });
+  }
+}
+
+/**
+ * 读取单个文本块的音频：优先读取缓存，未命中时按重试策略请求上游并写入缓存
+ * @param {string|{ssml: string}} text - 文本内容或 SSML 分块
+ * @param {number} index - 文本块序号（从 0 开始）
+ * @param {number} total - 文本块总数
+ * @param {Object} synthOptions - 合成选项 { retryPolicy, cache, cacheStats, upstream, trace }
+ * @param {Object} outcome - 携带 trace，并记录缓存命中、尝试次数、上游服务与状态码，供文本块日志使用
+ * @param {...any} ttsArgs - TTS 参数
+ * @returns {Promise<Uint8Array>} 音频数据
+ */
+async function loadChunkAudio(text, index, total, synthOptions, outcome, ...ttsArgs) {
+  const { cache, cacheStats } = synthOptions;
+  if (!cache) return getAudioChunkWithRetry(text, index, total, synthOptions, outcome, ...ttsArgs);
+
+  const outputFormat = ttsArgs[ttsArgs.length - 1];
+  const cacheKey = await getCacheKey(buildChunkSsml(text, ...ttsArgs), outputFormat);
+
+  try {
+    const cached = await cache.store.get(cacheKey);
+    if (cached) {
+      cacheStats.hits++;
+      outcome.cache = "hit";
+      return cached;
+    }
+  } catch (error) {
+    console.warn(`音频缓存读取失败: ${error.message}`);
+  }
+
+  cacheStats.misses++;
+  const bytes = await getAudioChunkWithRetry(text, index, total, synthOptions, outcome, ...ttsArgs);
+  try {
+    await cache.store.put(cacheKey, bytes, cache.ttl);
+  } catch (error) {
+    console.warn(`音频缓存写入失败: ${error.message}`);
+  }
+  return bytes;
+}
+
+/**
+ * 计算整个响应的 ETag（所有分块缓存键与响应封装方式的哈希）
+ *
+ * wav / flac / pcm 请求相同的上游格式，MP3 的 Info 帧与流式响应的文件头也会改变响应字节，
+ * 因此封装方式同样计入哈希。
+ *
+ * @param {Array<string|{ssml: string}>} textChunks - 文本块数组
+ * @param {Object} variant - 响应封装方式 { format: 输出格式名称, xingHeader, stream }
+ * @param {...any} ttsArgs - TTS 参数
+ * @returns {Promise<string>} 带引号的 ETag
+ */
+export async function computeETag(textChunks, variant, ...ttsArgs) {
+  const outputFormat = ttsArgs[ttsArgs.length - 1];
+  const keys = await Promise.all(textChunks.map(chunk => getCacheKey(buildChunkSsml(chunk, ...ttsArgs), outputFormat)));
+  const { format, xingHeader, stream } = variant;
+  return `"${await sha256Hex([format, xingHeader ? "xing" : "no-xing", stream ? "stream" : "full", ...keys].join(","))}"`;
+}
+
+/**
+ * 按重试策略获取单个文本块的音频，最终失败时在错误中注明是哪个文本块
+ * @param {string|{ssml: string}} text - 文本内容或 SSML 分块
+ * @param {number} index - 文本块序号（从 0 开始）
+ * @param {number} total - 文本块总数
+ * @param {Object} synthOptions - 合成选项 { retryPolicy, upstream: resolveProviders 返回的上游服务 }
+ * @param {Object} outcome - 携带 trace，写入尝试次数、最后使用的上游服务与状态码
+ * @param {...any} ttsArgs - TTS 参数
+ * @returns {Promise<Uint8Array>} 音频数据
+ * @throws {Error} 最终失败时抛出，error.upstream 为 true，并保留上游的 status / code / param / retryAfter
+ */
+async function getAudioChunkWithRetry(text, index, total, { retryPolicy, upstream }, outcome, ...ttsArgs) {
+  const ssml = buildChunkSsml(text, ...ttsArgs);
+  const outputFormat = ttsArgs[ttsArgs.length - 1];
+
+  try {
+    // 每次尝试都按优先级经过全部上游服务，失败的服务在冷却期内被跳过
+    return await withRetry((attempt, signal) => {
+      outcome.attempts = attempt + 1;
+      return synthesizeWithFailover(ssml, outputFormat, upstream, outcome, signal);
+    }, retryPolicy);
+  } catch (error) {
+    const wrapped = new Error(`第 ${index + 1}/${total} 个文本块合成失败（共尝试 ${error.attempts || 1} 次）: ${error.message}`);
+    wrapped.upstream = true;
+    wrapped.status = error.status;
+    wrapped.code = error.code;
+    wrapped.param = error.param;
+    wrapped.retryAfter = error.retryAfter;
+    throw wrapped;
+  }
+}
+
+// =================================================================================
+// 通用工具函数
+// =================================================================================
+
+/**
+ * 生成文本块最终发送给上游的 SSML
+ * @param {string|{ssml: string}} text - 文本内容，或已生成好的完整 SSML 分块
+ * @param {string} voiceName - 语音名称
+ * @param {string} rate - 语速百分比
+ * @param {string} pitch - 音调百分比
+ * @param {string} style - 语音风格
+ * @returns {string} SSML 文档
+ */
+function buildChunkSsml(text, voiceName, rate, pitch, style) {
+  return typeof text === "string" ? getSsml(text, voiceName, rate, pitch, style) : text.ssml;
+}
+
+/**
+ * 获取文本块的朗读文本
+ * @param {string|{text: string}} chunk - 文本块
+ * @returns {string} 纯文本
+ */
+export function chunkText(chunk) {
+  return typeof chunk === "string" ? chunk : chunk.text;
+}
+
+/**
+ * 收集文本块实际使用的全部音色
+ * @param {Array<string|{ssml: string}>} textChunks - 文本块数组
+ * @param {string} defaultVoice - 普通文本块使用的音色
+ * @returns {string[]} 去重后的音色名称
+ */
+function collectChunkVoices(textChunks, defaultVoice) {
+  const voices = new Set();
+  for (const chunk of textChunks) {
+    if (typeof chunk === "string") {
+      voices.add(defaultVoice);
+      continue;
+    }
+    for (const [, name] of chunk.ssml.matchAll(/<voice\s[^>]*?\bname\s*=\s*["']([^"']+)["']/g)) voices.add(name);
+  }
+  return [...voices];
+}
+
+/**
+ * 生成 SSML (Speech Synthesis Markup Language) 文档
+ * @param {string} text - 文本内容
+ * @param {string} voiceName - 语音名称
+ * @param {string} rate - 语速百分比
+ * @param {string} pitch - 音调百分比
+ * @param {string|{style: string, styleDegree: number|null, role: string|null}} style - 语音风格，或 expressionForVoice 返回的风格设置
+ * @param {Array<Object>} [lexicon] - 发音词典词条
+ * @param {string} [language] - 文档的 xml:lang，按语言切换音色时为片段音色的语言区域
+ * @returns {string} SSML 文档
+ */
+function getSsml(text, voiceName, rate, pitch, style, lexicon = [], language = "en-US") {
+  // 先保护 break 标签与文本规范化生成的 say-as 标签
+  const breakTagRegex = /<break\s+time="[^"]*"\s*\/?>|<break\s*\/?>|<break\s+time='[^']*'\s*\/?>|<say-as interpret-as="[a-z]+"(?: format="[a-z0-9]+")?>[^<>&]*<\/say-as>/gi;
+  const breakTags = [];
+  let processedText = text.replace(breakTagRegex, (match) => {
+    const placeholder = `__BREAK_TAG_${breakTags.length}__`;
+    breakTags.push(match);
+    return placeholder;
+  });
+
+  // 转义其他 XML 特殊字符
+  const sanitizedText = processedText
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+
+  // 恢复被保护的标签
+  let finalText = sanitizedText;
+  breakTags.forEach((tag, index) => {
+    finalText = finalText.replace(`__BREAK_TAG_${index}__`, tag);
+  });
+
+  // 为词典中的词语添加发音标记
+  finalText = applyLexicon(finalText, lexicon);
+
+  return `<speak xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="http://www.w3.org/2001/mstts" version="1.0" xml:lang="${language}">
+    <voice name="${voiceName}">
+      <mstts:express-as ${expressAsAttributes(style)}>
+        <prosody rate="${rate}%" pitch="${pitch}%">${finalText}</prosody>
+      </mstts:express-as>
+    </voice>
+  </speak>`;
+}
+
+/**
+ * 生成 mstts:express-as 的属性
+ * @param {string|{style: string, styleDegree: number|null, role: string|null}} expression - 风格名称或风格设置
+ * @returns {string} 属性文本
+ */
+function expressAsAttributes(expression) {
+  const { style, styleDegree = null, role = null } = typeof expression === "string" ? { style: expression } : expression;
+  return `style="${style}"` +
+    (styleDegree !== null ? ` styledegree="${styleDegree}"` : "") +
+    (role ? ` role="${role}"` : "");
+}
+
+/**
+ * 多阶段文本清理函数
+ * @param {string} text - 输入文本
+ * @param {Object} options - 清理选项
+ * @param {Array<Object>} [replacements] - 编译后的替换规则
+ * @param {Object|null} [normalization] - resolveNormalization 返回的规范化设置
+ * @param {boolean} [keepParagraphs] - 移除换行时是否保留段落之间的空行（按段落分块时使用）
+ * @returns {string} 清理后的文本
+ */
+function cleanText(text, options, replacements = [], normalization = null, keepParagraphs = false) {
+  let cleanedText = text;
+
+  // 阶段 1: 结构化内容移除
+  if (options.remove_urls) {
+    cleanedText = cleanedText.replace(/(https?:\/\/[^\s]+)/g, '');
+  }
+
+  if (options.remove_markdown) {
+    // 移除图片链接
+    cleanedText = cleanedText.replace(/!\[.*?\]\(.*?\)/g, '');
+    // 移除普通链接，保留链接文本
+    cleanedText = cleanedText.replace(/\[(.*?)\]\(.*?\)/g, '$1');
+    // 移除粗体和斜体
+    cleanedText = cleanedText.replace(/(\*\*|__)(.*?)\1/g, '$2');
+    cleanedText = cleanedText.replace(/(\*|_)(.*?)\1/g, '$2');
+    // 移除代码块
+    cleanedText = cleanedText.replace(/`{1,3}(.*?)`{1,3}/g, '$1');
+    // 移除标题标记
+    cleanedText = cleanedText.replace(/#{1,6}\s/g, '');
+  }
+
+  // 阶段 2: 自定义内容移除
+  if (options.custom_keywords) {
+    const keywords = options.custom_keywords
+      .split(',')
+      .map(k => k.trim())
+      .filter(k => k);
+
+    if (keywords.length > 0) {
+      // 转义正则表达式特殊字符
+      const escapedKeywords = keywords.map(k =>
+        k.replace(/[-\/\\^$*+?.()|[\]{}]/g, '\\$&')
+      );
+      const regex = new RegExp(escapedKeywords.join('|'), 'g');
+      cleanedText = cleanedText.replace(regex, '');
+    }
+  }
+
+  // 替换规则（字面量或正则），用于改写需要按特定方式朗读的内容
+  cleanedText = applyReplacements(cleanedText, replacements);
+
+  // 阶段 3: 字符移除
+  if (options.remove_emoji) {
+    // 移除 Emoji 表情符号
+    cleanedText = cleanedText.replace(/\p{Emoji_Presentation}/gu, '');
+  }
+
+  // 阶段 4: 上下文感知格式清理
+  if (options.remove_citation_numbers) {
+    // 移除引用数字（如文末的 [1], [2] 等）
+    cleanedText = cleanedText.replace(/\s\d{1,2}(?=[.。，,;；:：]|$)/g, '');
+  }
+
+  // 数字、日期、货币、单位等按语言改写为读法（或包裹 say-as 标签）
+  cleanedText = normalizeText(cleanedText, normalization);
+
+  // 阶段 5: 通用格式清理
+  if (options.remove_line_breaks && keepParagraphs) {
+    // 移除段落内多余的空白字符，段落之间保留一个空行作为分块边界
+    cleanedText = cleanedText
+      .split(/\n\s*\n/)
+      .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+      .filter(paragraph => paragraph)
+      .join('\n\n');
+  } else if (options.remove_line_breaks) {
+    // 移除所有多余的空白字符
+    cleanedText = cleanedText.replace(/\s+/g, ' ');
+  }
+
+  // 阶段 6: 最终清理
+  return cleanedText.trim();
+}
+
+/**
+ * 把数值限制在 [最小值, 最大值] 范围内
+ * @param {number} value - 数值
+ * @param {number[]} range - [最小值, 最大值]
+ * @returns {number} 限制后的数值
+ */
+function clampRange(value, [min, max]) {
+  return Math.min(max, Math.max(min, value));
+}
+
+/**
+ * 生成带参数名的校验错误
+ * @param {string} message - 错误消息
+ * @param {string} param - 出错的请求参数
+ * @returns {Error} 错误对象
+ */
+function paramError(message, param) {
+  const error = new Error(message);
+  error.param = param;
+  return error;
+}
@@ -0,0 +1,170 @@
+/**
+ * 请求追踪与阶段计时
+ *
+ * @description 为每个请求生成（或沿用客户端 X-Request-Id 传入的）请求 ID，记录 Token 获取、
+ * 合成、拼接等阶段的耗时并生成 Server-Timing 响应头，按请求与文本块输出结构化 JSON 日志。
+ * 并发文本块的同一阶段按时间区间的并集计时，重叠部分不会被重复累加。
+ */
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+const LOG_LEVELS = ["off", "request", "chunk"];   // 不输出 / 仅请求日志 / 请求与文本块日志
+const DEFAULT_LOG_LEVEL = "request";                // 文本块日志量大，需显式开启
+
+// 允许跨域页面读取的响应头（CORS 默认只暴露 Content-Type 等少数几个）
+const EXPOSED_HEADERS = [
+  "X-Request-Id", "Server-Timing", "Retry-After", "ETag",
+  "X-Audio-Duration", "X-Audio-Chunks", "X-Cache", "X-Cache-Hits",
+  "X-Dubbing-Overflows", "X-Dubbing-Overflow-Cues"
+];
+
+// Server-Timing 中各阶段的顺序
+const TIMING_METRICS = ["prepare", "token", "synthesis", "assembly"];
+
+/**
+ * 创建请求追踪记录
+ * @param {Request} request - HTTP 请求对象，X-Request-Id 格式有效时沿用
+ * @param {Object} [env] - 环境变量，支持 TTS_LOG（off / request / chunk，默认 request）
+ * @returns {{id: string, startedAt: number, logLevel: string, spans: Object, fields: Object}} 追踪记录
+ */
+export function createTrace(request, env = {}) {
+  const incoming = request.headers.get("X-Request-Id");
+  const level = String(env.TTS_LOG ?? DEFAULT_LOG_LEVEL).toLowerCase();
+  return {
+    id: incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID(),
+    startedAt: Date.now(),
+    logLevel: LOG_LEVELS.includes(level) ? level : DEFAULT_LOG_LEVEL,
+    spans: {},    // 阶段名 -> [[开始, 结束], ...]（毫秒时间戳）
+    fields: { method: request.method, path: new URL(request.url).pathname }   // 请求日志的附加字段
+  };
+}
+
+// =================================================================================
+// 计时
+// =================================================================================
+
+/**
+ * 执行操作并把耗时记入指定阶段
+ * @param {Object|null} trace - 追踪记录，为 null 时只执行操作
+ * @param {string} name - 阶段名
+ * @param {function(): any} fn - 要执行的操作（可返回 Promise）
+ * @returns {Promise<any>} 操作结果
+ */
+export async function measure(trace, name, fn) {
+  if (!trace) return fn();
+  const start = Date.now();
+  try {
+    return await fn();
+  } finally {
+    (trace.spans[name] ??= []).push([start, Date.now()]);
+  }
+}
+
+/**
+ * 为请求日志附加字段（如音色、文本块数、字符数）
+ * @param {Object|null} trace - 追踪记录
+ * @param {Object} fields - 字段
+ */
+export function annotate(trace, fields) {
+  if (trace) Object.assign(trace.fields, fields);
+}
+
+/**
+ * 汇总各阶段耗时
+ * @param {Object} trace - 追踪记录
+ * @returns {Object} 阶段名 -> 毫秒数，另含 total
+ */
+export function getTimings(trace) {
+  const timings = {};
+  for (const name of TIMING_METRICS) {
+    if (trace.spans[name]) timings[name] = spanDuration(trace.spans[name]);
+  }
+  timings.total = Date.now() - trace.startedAt;
+  return timings;
+}
+
+/**
+ * 为响应附加 X-Request-Id 与 Server-Timing 头
+ *
+ * 流式响应在合成开始前返回，Server-Timing 只包含此时已完成的阶段。
+ *
+ * @param {Response} response - 响应对象
+ * @param {Object} trace - 追踪记录
+ * @returns {Response} 同一个响应对象
+ */
+export function applyTraceHeaders(response, trace) {
+  const timings = getTimings(trace);
+  response.headers.set("X-Request-Id", trace.id);
+  response.headers.set("Server-Timing", Object.entries(timings).map(([name, ms]) => `${name};dur=${ms}`).join(", "));
+  // 允许跨域页面读取请求 ID、计时以及时长、缓存、配音等附加信息
+  response.headers.set("Access-Control-Expose-Headers", EXPOSED_HEADERS.join(", "));
+  response.headers.set("Timing-Allow-Origin", "*");
+  return response;
+}
+
+// =================================================================================
+// 结构化日志
+// =================================================================================
+
+/**
+ * 输出请求日志
+ * @param {Object} trace - 追踪记录
+ * @param {Object} fields - 请求结束时的字段，如 { status, error }
+ */
+export function logRequest(trace, fields) {
+  if (trace.logLevel === "off") return;
+  writeLog({
+    event: "request",
+    request_id: trace.id,
+    ...trace.fields,
+    ...fields,
+    duration_ms: Date.now() - trace.startedAt,
+    timings: getTimings(trace)
+  });
+}
+
+/**
+ * 输出文本块日志
+ * @param {Object|null} trace - 追踪记录，为 null（如异步任务）时不输出
+ * @param {Object} fields - 文本块字段，如 { index, voice, characters, latency_ms, cache, provider, upstream_status }
+ */
+export function logChunk(trace, fields) {
+  if (!trace || trace.logLevel !== "chunk") return;
+  writeLog({ event: "chunk", request_id: trace.id, ...fields });
+}
+
+// =================================================================================
+// 内部工具函数
+// =================================================================================
+
+/**
+ * 计算时间区间并集的总长度
+ * @param {Array<[number, number]>} intervals - 时间区间
+ * @returns {number} 毫秒数
+ */
+function spanDuration(intervals) {
+  const sorted = [...intervals].sort((a, b) => a[0] - b[0]);
+  let total = 0;
+  let [start, end] = sorted[0];
+  for (const [nextStart, nextEnd] of sorted.slice(1)) {
+    if (nextStart > end) {
+      total += end - start;
+      start = nextStart;
+    }
+    end = Math.max(end, nextEnd);
+  }
+  return total + end - start;
+}
+
+/**
+ * 输出一行 JSON 日志
+ * @param {Object} entry - 日志内容
+ */
+function writeLog(entry) {
+  const line = JSON.stringify({ time: new Date().toISOString(), level: entry.error ? "error" : "info", ...entry });
+  if (entry.error) console.error(line);
+  else console.log(line);
+}
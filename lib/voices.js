@@ -0,0 +1,311 @@
+/**
+ * Microsoft 神经网络音色目录
+ *
+ * @description 通过与语音合成相同的签名 Token 获取完整音色列表（含地区、性别、
+ * mstts:express-as 风格与角色），在内存中缓存；上游获取失败时回退到内置列表。
+ * 同时提供 OpenAI 音色别名的统一解析，供模型列表与语音合成路由共用。
+ */
+
+import { getEndpoint } from "./endpoint.js";
+import { getMockBackend } from "./mock.js";
+
+// =================================================================================
+// 配置参数
+// =================================================================================
+
+const DEFAULT_VOICES_CACHE_TTL = 24 * 60 * 60; // 音色列表缓存时间（秒）
+const FALLBACK_RETRY_AFTER = 5 * 60;           // 回退到内置列表后，多久再尝试上游（秒）
+
+// OpenAI 语音映射到 Microsoft 语音，可通过环境变量 VOICE_ALIASES 扩展或覆盖
+const DEFAULT_VOICE_ALIASES = {
+  "shimmer": "zh-CN-XiaoxiaoNeural",    // 温柔女声 -> 晓晓
+  "alloy": "zh-CN-YunyangNeural",       // 专业男声 -> 云扬
+  "fable": "zh-CN-YunjianNeural",       // 激情男声 -> 云健
+  "onyx": "zh-CN-XiaoyiNeural",         // 活泼女声 -> 晓伊
+  "nova": "zh-CN-YunxiNeural",          // 阳光男声 -> 云希
+  "echo": "zh-CN-liaoning-XiaobeiNeural" // 东北女声 -> 晓北
+};
+
+// 未指定音色时使用的默认音色
+export const DEFAULT_VOICE = "zh-CN-XiaoxiaoNeural";
+
+// Microsoft 音色名称格式，如 zh-CN-XiaoxiaoNeural、zh-CN-liaoning-XiaobeiNeural
+const MICROSOFT_VOICE_PATTERN = /^[a-z]{2,3}-[A-Za-z]{2,4}(?:-[A-Za-z]+)*-[\w:]+Neural\w*$/;
+
+const ROLES_ALL = ["Boy", "Girl", "OlderAdultFemale", "OlderAdultMale", "SeniorFemale", "SeniorMale", "YoungAdultFemale", "YoungAdultMale"];
+const STYLES_EN_EMOTIONAL = ["angry", "cheerful", "excited", "friendly", "hopeful", "sad", "shouting", "terrified", "unfriendly", "whispering"];
+
+// 内置回退列表: [ShortName, Gender, LocalName, StyleList, RolePlayList]
+const FALLBACK_VOICES = [
+  ["zh-CN-XiaoxiaoNeural", "Female", "晓晓", ["affectionate", "angry", "assistant", "calm", "chat", "chat-casual", "cheerful", "customerservice", "disgruntled", "excited", "fearful", "friendly", "gentle", "lyrical", "newscast", "poetry-reading", "sad", "serious", "sorry", "whispering"], []],
+  ["zh-CN-YunxiNeural", "Male", "云希", ["angry", "assistant", "chat", "cheerful", "depressed", "disgruntled", "embarrassed", "fearful", "narration-relaxed", "newscast", "sad", "serious"], ["Boy", "Narrator", "YoungAdultMale"]],
+  ["zh-CN-YunyangNeural", "Male", "云扬", ["customerservice", "narration-professional", "newscast-casual"], []],
+  ["zh-CN-XiaoyiNeural", "Female", "晓伊", ["affectionate", "angry", "cheerful", "disgruntled", "embarrassed", "fearful", "gentle", "sad", "serious"], []],
+  ["zh-CN-YunjianNeural", "Male", "云健", ["angry", "cheerful", "depressed", "disgruntled", "documentary-narration", "narration-relaxed", "sad", "serious", "sports-commentary", "sports-commentary-excited"], []],
+  ["zh-CN-XiaochenNeural", "Female", "晓辰", ["livecommercial"], []],
+  ["zh-CN-XiaohanNeural", "Female", "晓涵", ["affectionate", "angry", "calm", "cheerful", "disgruntled", "embarrassed", "fearful", "gentle", "sad", "serious"], []],
+  ["zh-CN-XiaomengNeural", "Female", "晓梦", ["chat"], []],
+  ["zh-CN-XiaomoNeural", "Female", "晓墨", ["affectionate", "angry", "calm", "cheerful", "depressed", "disgruntled", "embarrassed", "envious", "fearful", "gentle", "sad", "serious"], ROLES_ALL],
+  ["zh-CN-XiaoqiuNeural", "Female", "晓秋", [], []],
+  ["zh-CN-XiaoruiNeural", "Female", "晓睿", ["angry", "calm", "fearful", "sad"], []],
+  ["zh-CN-XiaoshuangNeural", "Female", "晓双", ["chat"], []],
+  ["zh-CN-XiaoxuanNeural", "Female", "晓萱", ["angry", "calm", "cheerful", "depressed", "disgruntled", "fearful", "gentle", "serious"], ROLES_ALL],
+  ["zh-CN-XiaoyanNeural", "Female", "晓颜", [], []],
+  ["zh-CN-XiaoyouNeural", "Female", "晓悠", [], []],
+  ["zh-CN-XiaozhenNeural", "Female", "晓甄", ["angry", "cheerful", "disgruntled", "fearful", "sad", "serious"], []],
+  ["zh-CN-YunfengNeural", "Male", "云枫", ["angry", "cheerful", "depressed", "disgruntled", "fearful", "sad", "serious"], []],
+  ["zh-CN-YunhaoNeural", "Male", "云皓", ["advertisement-upbeat"], []],
+  ["zh-CN-YunxiaNeural", "Male", "云夏", ["angry", "calm", "cheerful", "fearful", "sad"], []],
+  ["zh-CN-YunyeNeural", "Male", "云野", ["angry", "calm", "cheerful", "disgruntled", "embarrassed", "fearful", "sad", "serious"], ROLES_ALL],
+  ["zh-CN-YunzeNeural", "Male", "云泽", ["angry", "calm", "cheerful", "depressed", "disgruntled", "documentary-narration", "fearful", "sad", "serious"], ["OlderAdultMale", "SeniorMale"]],
+  ["zh-CN-liaoning-XiaobeiNeural", "Female", "晓北", [], []],
+  ["en-US-JennyNeural", "Female", "Jenny", ["assistant", "chat", "customerservice", "newscast", ...STYLES_EN_EMOTIONAL], []],
+  ["en-US-GuyNeural", "Male", "Guy", ["newscast", ...STYLES_EN_EMOTIONAL], []],
+  ["en-US-AriaNeural", "Female", "Aria", ["chat", "customerservice", "empathetic", "narration-professional", "newscast-casual", "newscast-formal", ...STYLES_EN_EMOTIONAL], []],
+  ["en-US-DavisNeural", "Male", "Davis", ["chat", ...STYLES_EN_EMOTIONAL], []],
+  ["en-US-AmberNeural", "Female", "Amber", [], []],
+  ["en-US-AnaNeural", "Female", "Ana", [], []],
+  ["en-US-AshleyNeural", "Female", "Ashley", [], []],
+  ["en-US-BrandonNeural", "Male", "Brandon", [], []],
+  ["en-US-ChristopherNeural", "Male", "Christopher", [], []],
+  ["en-US-CoraNeural", "Female", "Cora", [], []],
+  ["en-US-ElizabethNeural", "Female", "Elizabeth", [], []],
+  ["en-US-EricNeural", "Male", "Eric", [], []],
+  ["en-US-JacobNeural", "Male", "Jacob", [], []],
+  ["en-US-JaneNeural", "Female", "Jane", STYLES_EN_EMOTIONAL, []],
+  ["en-US-JasonNeural", "Male", "Jason", STYLES_EN_EMOTIONAL, []],
+  ["en-US-MichelleNeural", "Female", "Michelle", [], []],
+  ["en-US-MonicaNeural", "Female", "Monica", [], []],
+  ["en-US-NancyNeural", "Female", "Nancy", STYLES_EN_EMOTIONAL, []],
+  ["en-US-RogerNeural", "Male", "Roger", [], []],
+  ["en-US-SaraNeural", "Female", "Sara", STYLES_EN_EMOTIONAL, []],
+  ["en-US-SteffanNeural", "Male", "Steffan", [], []],
+  ["en-US-TonyNeural", "Male", "Tony", STYLES_EN_EMOTIONAL, []]
+];
+
+// 音色列表缓存
+let voiceCache = { voices: null, source: null, expiredAt: 0 };
+
+// =================================================================================
+// 音色别名解析
+// =================================================================================
+
+/**
+ * 获取音色别名表（内置别名 + 环境变量 VOICE_ALIASES 中的 JSON 映射）
+ * @param {Object} [env] - 环境变量
+ * @returns {Object} 别名 (小写) -> Microsoft 音色名称
+ */
+export function getVoiceAliases(env = {}) {
+  const aliases = { ...DEFAULT_VOICE_ALIASES };
+  if (!env.VOICE_ALIASES) return aliases;
+
+  try {
+    const custom = typeof env.VOICE_ALIASES === "string" ? JSON.parse(env.VOICE_ALIASES) : env.VOICE_ALIASES;
+    for (const [alias, voiceName] of Object.entries(custom)) {
+      if (typeof voiceName === "string" && voiceName) aliases[alias.toLowerCase()] = voiceName;
+    }
+  } catch (error) {
+    console.warn(`VOICE_ALIASES 解析失败，使用内置别名: ${error.message}`);
+  }
+
+  return aliases;
+}
+
+/**
+ * 解析最终使用的 Microsoft 音色
+ *
+ * 优先级: tts-1-<别名> 形式的 model > voice（别名或 Microsoft 音色名称）> 默认音色
+ *
+ * @param {string} model - 模型名称，如 tts-1、tts-1-alloy
+ * @param {string} [voice] - 音色别名或 Microsoft 音色名称
+ * @param {Object} [env] - 环境变量
+ * @returns {string} Microsoft 音色名称
+ * @throws {Error} 无法解析时抛出，error.param 指明出错的参数
+ */
+export function resolveVoice(model, voice, env = {}) {
+  const aliases = getVoiceAliases(env);
+
+  const modelMatch = /^tts-1(?:-hd)?-(.+)$/i.exec(model || "");
+  if (modelMatch && modelMatch[1].toLowerCase() !== "hd") {
+    const modelVoice = aliases[modelMatch[1].toLowerCase()];
+    if (!modelVoice) throw unresolvedVoiceError(`无法解析模型 '${model}' 中的音色别名`, "model", aliases);
+    return modelVoice;
+  }
+
+  if (!voice) return DEFAULT_VOICE;
+
+  const aliasVoice = aliases[String(voice).toLowerCase()];
+  if (aliasVoice) return aliasVoice;
+  if (MICROSOFT_VOICE_PATTERN.test(voice)) return voice;
+
+  throw unresolvedVoiceError(`无法解析音色 '${voice}'`, "voice", aliases);
+}
+
+/**
+ * 解析对话脚本中的角色名：支持音色别名、Microsoft 音色名称，
+ * 以及内置列表中的中文名或英文名（如 "晓晓"、"Jenny"）
+ * @param {string} speaker - 角色名
+ * @param {Object} [env] - 环境变量
+ * @returns {string} Microsoft 音色名称
+ * @throws {Error} 无法解析时抛出
+ */
+export function resolveSpeaker(speaker, env = {}) {
+  try {
+    return resolveVoice(null, speaker, env);
+  } catch (error) {
+    const name = String(speaker).toLowerCase();
+    const match = FALLBACK_VOICES.find(([shortName, , localName]) =>
+      localName.toLowerCase() === name ||
+      shortName.split("-").pop().replace(/Neural$/, "").toLowerCase() === name
+    );
+    if (match) return match[0];
+    throw error;
+  }
+}
+
+/**
+ * 生成列出可用选项的音色解析错误
+ * @param {string} message - 错误消息
+ * @param {string} param - 出错的请求参数
+ * @param {Object} aliases - 当前别名表
+ * @returns {Error} 错误对象
+ */
+function unresolvedVoiceError(message, param, aliases) {
+  const error = new Error(`${message}。可用别名: ${Object.keys(aliases).join(", ")}；` +
+    `或直接使用 Microsoft 音色名称，如 ${DEFAULT_VOICE}（完整列表见 /api/v1/voices）`);
+  error.param = param;
+  return error;
+}
+
+// =================================================================================
+// 音色目录
+// =================================================================================
+
+/**
+ * 获取完整音色目录（带缓存）
+ * @param {Object} [env] - 环境变量，支持 VOICES_CACHE_TTL（秒）；TTS_BACKEND=mock 时不请求上游，直接返回内置列表
+ * @returns {Promise<{voices: Object[], source: string}>} 音色列表及来源 ("upstream" / "fallback")
+ */
+export async function getVoiceCatalog(env = {}) {
+  if (getMockBackend(env)) {
+    return { voices: FALLBACK_VOICES.map(fallbackToVoice), source: "fallback" };
+  }
+
+  const now = Date.now() / 1000;
+  if (voiceCache.voices && now < voiceCache.expiredAt) {
+    return { voices: voiceCache.voices, source: voiceCache.source };
+  }
+
+  const ttl = Number(env.VOICES_CACHE_TTL) || DEFAULT_VOICES_CACHE_TTL;
+
+  try {
+    const voices = await fetchUpstreamVoices();
+    voiceCache = { voices, source: "upstream", expiredAt: now + ttl };
+  } catch (error) {
+    console.warn(`音色列表获取失败，使用内置列表: ${error.message}`);
+    voiceCache = {
+      voices: FALLBACK_VOICES.map(fallbackToVoice),
+      source: "fallback",
+      expiredAt: now + Math.min(ttl, FALLBACK_RETRY_AFTER)
+    };
+  }
+
+  return { voices: voiceCache.voices, source: voiceCache.source };
+}
+
+/**
+ * 查询音色支持的风格与角色，优先使用已缓存的上游目录，其次是内置列表
+ * @param {string} voiceName - Microsoft 音色名称
+ * @returns {{styles: string[], roles: string[]}|null} 风格与角色列表，未知音色返回 null
+ */
+export function getVoiceCapabilities(voiceName) {
+  const cached = voiceCache.voices && voiceCache.voices.find(voice => voice.name === voiceName);
+  if (cached) return { styles: cached.styles, roles: cached.roles };
+
+  const fallback = FALLBACK_VOICES.find(([shortName]) => shortName === voiceName);
+  return fallback ? { styles: fallback[3], roles: fallback[4] } : null;
+}
+
+/**
+ * 按地区、性别、风格过滤音色
+ * @param {Object[]} voices - 音色列表
+ * @param {Object} filters - 过滤条件 { locale, gender, style }，均不区分大小写
+ * @returns {Object[]} 过滤后的音色列表
+ */
+export function filterVoices(voices, { locale, gender, style } = {}) {
+  const lower = value => (value || "").toLowerCase();
+
+  return voices.filter(voice =>
+    // 地区支持前缀匹配，如 "zh" 可匹配 zh-CN / zh-TW
+    (!locale || lower(voice.locale) === lower(locale) || lower(voice.locale).startsWith(`${lower(locale)}-`)) &&
+    (!gender || lower(voice.gender) === lower(gender)) &&
+    (!style || voice.styles.some(s => lower(s) === lower(style)))
+  );
+}
+
+/**
+ * 从 Microsoft 拉取音色列表
+ * @returns {Promise<Object[]>} 标准化后的音色列表
+ */
+async function fetchUpstreamVoices() {
+  const endpoint = await getEndpoint();
+  const url = `https://${endpoint.r}.tts.speech.microsoft.com/cognitiveservices/voices/list`;
+
+  const response = await fetch(url, {
+    headers: {
+      "Authorization": endpoint.t,
+      "User-Agent": "okhttp/4.5.0"
+    }
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`音色列表 API 错误: ${response.status} ${response.statusText} - ${errorText}`);
+  }
+
+  const data = await response.json();
+  if (!Array.isArray(data) || data.length === 0) {
+    throw new Error("音色列表为空");
+  }
+
+  return data.map(normalizeVoice);
+}
+
+/**
+ * 将 Microsoft 音色条目转换为统一格式
+ * @param {Object} voice - Microsoft voices/list 返回的条目
+ * @returns {Object} 音色信息
+ */
+function normalizeVoice(voice) {
+  return {
+    id: voice.ShortName,
+    name: voice.ShortName,
+    display_name: voice.DisplayName || voice.ShortName,
+    local_name: voice.LocalName || voice.DisplayName || voice.ShortName,
+    locale: voice.Locale,
+    locale_name: voice.LocaleName || voice.Locale,
+    gender: voice.Gender,
+    styles: voice.StyleList || [],
+    roles: voice.RolePlayList || [],
+    voice_type: voice.VoiceType || "Neural",
+    sample_rate: Number(voice.SampleRateHertz) || 24000
+  };
+}
+
+/**
+ * 将内置回退条目转换为统一格式
+ * @param {Array} entry - [ShortName, Gender, LocalName, StyleList, RolePlayList]
+ * @returns {Object} 音色信息
+ */
+function fallbackToVoice([shortName, gender, localName, styles, roles]) {
+  const locale = shortName.split("-").slice(0, 2).join("-");
+  return normalizeVoice({
+    ShortName: shortName,
+    DisplayName: shortName.split("-").pop().replace(/Neural$/, ""),
+    LocalName: localName,
+    Locale: locale,
+    Gender: gender,
+    StyleList: styles,
+    RolePlayList: roles
+  });
+}